@@ -18,6 +18,7 @@ const API_CONFIG = {
         stream: '/api/agent/process/stream', // SSE 流式处理
         stats: '/api/agent/stats',       // GET 处理统计
         queue: '/api/agent/queue',       // GET 处理队列
+        approvals: '/api/agent/approvals', // GET 待审核列表，POST :id/approve、:id/reject
         // 自动化迭代 API
         autoIterate: '/api/agent/auto-iterate',       // POST 触发自动化迭代
         processAndIterate: '/api/agent/process-and-iterate', // POST 一键处理并迭代
@@ -60,6 +61,24 @@ const API = {
             console.error('[API] 请求失败:', error);
             return { success: false, error: error.message };
         }
+    },
+    
+    // 管理接口：携带管理员密钥（ADMIN_API_KEYS），密钥仅保存在当前会话，鉴权失败时清除
+    // interactive 为 false 时（如定时刷新）缺少密钥不弹出输入框
+    async adminRequest(endpoint, options = {}, { interactive = true } = {}) {
+        let key = sessionStorage.getItem('adminApiKey');
+        if (!key && interactive) {
+            key = (window.prompt('请输入管理员密钥') || '').trim();
+            if (key) sessionStorage.setItem('adminApiKey', key);
+        }
+        if (!key) return { success: false, error: '需要管理员密钥', needsAdminKey: true };
+        
+        const result = await this.request(endpoint, { ...options, headers: { ...options.headers, 'X-Admin-Key': key } });
+        if (!result.success && result.error === '管理接口鉴权失败') {
+            sessionStorage.removeItem('adminApiKey');
+            result.needsAdminKey = true;
+        }
+        return result;
     }
 };
 
@@ -125,6 +144,8 @@ document.addEventListener('DOMContentLoaded', () => {
     initFilterTabs();
     renderFeedbackList();
     initAgent();  // 初始化智能体（初始为空）
+    initAgentQueue();  // 处理队列面板
+    initAgentReview();  // 人工审核面板
     initVersionSelector();  // 初始化版本选择器
     updateStats();
 });
@@ -388,11 +409,11 @@ function addReply(feedbackId, content) {
     }
 }
 
-// Escape HTML
+// Escape HTML（同时转义引号，结果可用于属性值）
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Update stats
@@ -439,6 +460,249 @@ function initAgent() {
     });
 }
 
+// ============================================
+// Agent Queue - 处理队列面板
+// ============================================
+
+const QUEUE_REFRESH_MS = 5000;
+
+const QUEUE_STAGE_NAMES = {
+    'queued': '排队中',
+    'running': '运行中',
+    'analysis': '分析中',
+    'solution': '生成方案',
+    'modification': '修改代码',
+    'test': '测试中',
+    'publish': '发布中',
+    'awaiting_approval': '待审核',
+    'completed': '已完成',
+    'dead': '失败',
+    'cancelled': '已取消'
+};
+
+const QUEUE_PRIORITY_NAMES = { high: '高', medium: '中', low: '低' };
+
+function initAgentQueue() {
+    const list = document.getElementById('queueList');
+    if (!list) return;
+    
+    // 操作按钮使用事件委托，列表刷新后无需重新绑定
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-queue-action]');
+        if (btn) updateQueueJob(btn.dataset.jobId, btn.dataset.queueAction);
+    });
+    list.addEventListener('change', (e) => {
+        if (e.target.matches('.queue-priority-select')) {
+            updateQueueJob(e.target.dataset.jobId, 'priority', e.target.value);
+        }
+    });
+    
+    loadAgentQueue();
+    setInterval(() => {
+        if (!document.hidden) loadAgentQueue();
+    }, QUEUE_REFRESH_MS);
+}
+
+async function loadAgentQueue() {
+    const result = await API.request(`${API_CONFIG.agent.queue}?status=running,queued,dead`);
+    if (result.success) {
+        renderAgentQueue(result.data);
+    } else {
+        const list = document.getElementById('queueList');
+        if (list) list.innerHTML = `<div class="queue-empty">${escapeHtml(result.error || '队列不可用')}</div>`;
+    }
+}
+
+function renderAgentQueue({ list, stats }) {
+    const container = document.getElementById('queueList');
+    const statsEl = document.getElementById('queueStats');
+    if (!container) return;
+    
+    if (statsEl) statsEl.textContent = `运行 ${stats.running} · 排队 ${stats.queued} · 失败 ${stats.dead}`;
+    
+    if (list.length === 0) {
+        container.innerHTML = '<div class="queue-empty">队列为空</div>';
+        return;
+    }
+    
+    container.innerHTML = list.map(job => {
+        let actions = '';
+        if (job.status === 'queued') {
+            actions = `
+                <select class="queue-priority-select" data-job-id="${job.id}">
+                    ${Object.entries(QUEUE_PRIORITY_NAMES).map(([value, name]) => `<option value="${value}"${value === job.priority ? ' selected' : ''}>${name}</option>`).join('')}
+                </select>
+                <button class="queue-btn" data-queue-action="cancel" data-job-id="${job.id}">取消</button>`;
+        } else if (job.status === 'dead' || job.status === 'cancelled') {
+            actions = `<button class="queue-btn" data-queue-action="requeue" data-job-id="${job.id}">重新排队</button>`;
+        }
+        
+        return `
+            <div class="queue-item queue-${job.status}">
+                <span class="queue-priority priority-${job.priority}">${QUEUE_PRIORITY_NAMES[job.priority] || job.priority}</span>
+                <span class="queue-content" title="${escapeHtml(job.content)}">${escapeHtml(job.content.substring(0, 40))}${job.content.length > 40 ? '...' : ''}</span>
+                <span class="queue-stage">${QUEUE_STAGE_NAMES[job.stage] || job.stage}</span>
+                <span class="queue-attempts">${job.attempts}/${job.maxAttempts}</span>
+                <span class="queue-actions">${actions}</span>
+                ${job.error ? `<div class="queue-error">${escapeHtml(job.error)}</div>` : ''}
+            </div>`;
+    }).join('');
+}
+
+// 取消、重新排队或调整优先级
+async function updateQueueJob(jobId, action, priority) {
+    const endpoint = `${API_CONFIG.agent.queue}/${encodeURIComponent(jobId)}`;
+    const result = action === 'priority'
+        ? await API.adminRequest(endpoint, { method: 'PATCH', body: JSON.stringify({ priority }) })
+        : await API.adminRequest(`${endpoint}/${action}`, { method: 'POST' });
+    
+    if (!result.success) {
+        console.error('[Queue] 操作失败:', result.error);
+    }
+    loadAgentQueue();
+}
+
+// ============================================
+// Agent Review - 人工审核面板
+// ============================================
+
+const REVIEW_CHECKPOINT_NAMES = { solution: '方案审核', test: '测试后审核' };
+
+// 当前展开的审核
+let activeReviewId = null;
+
+function initAgentReview() {
+    const list = document.getElementById('reviewList');
+    const detail = document.getElementById('reviewDetail');
+    if (!list || !detail) return;
+    
+    list.addEventListener('click', (e) => {
+        if (e.target.closest('[data-review-login]')) return loadAgentReview({ interactive: true });
+        const item = e.target.closest('[data-review-id]');
+        if (item) openReview(item.dataset.reviewId);
+    });
+    detail.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-review-action]');
+        if (btn) submitReview(btn.dataset.reviewAction);
+    });
+    
+    loadAgentReview();
+    setInterval(() => {
+        if (!document.hidden) loadAgentReview();
+    }, QUEUE_REFRESH_MS);
+}
+
+// 审核需管理员密钥：定时刷新不弹出输入框，由面板内的按钮触发输入
+async function loadAgentReview({ interactive = false } = {}) {
+    const container = document.getElementById('reviewList');
+    if (!container) return;
+    
+    const result = await API.adminRequest(`${API_CONFIG.agent.approvals}?status=pending`, {}, { interactive });
+    if (!result.success) {
+        const login = result.needsAdminKey ? ' <button class="queue-btn" data-review-login>输入密钥</button>' : '';
+        container.innerHTML = `<div class="queue-empty">${escapeHtml(result.error || '审核不可用')}${login}</div>`;
+        return;
+    }
+    
+    const { list } = result.data;
+    const countEl = document.getElementById('reviewCount');
+    if (countEl) countEl.textContent = list.length > 0 ? `${list.length} 待审核` : '';
+    
+    if (list.length === 0) {
+        container.innerHTML = '<div class="queue-empty">暂无待审核的修改</div>';
+        return;
+    }
+    
+    container.innerHTML = list.map(approval => {
+        const lines = approval.files.map(f => `${escapeHtml(f.file)} <span class="diff-stat-add">+${f.linesAdded}</span> <span class="diff-stat-del">-${f.linesRemoved}</span>`).join(' · ');
+        const test = approval.test ? ` · 测试 ${approval.test.testsPassed}/${approval.test.testsRun}` : '';
+        return `
+            <div class="queue-item review-item${approval.id === activeReviewId ? ' active' : ''}" data-review-id="${approval.id}">
+                <span class="review-checkpoint">${REVIEW_CHECKPOINT_NAMES[approval.checkpoint] || approval.checkpoint}</span>
+                <span class="queue-content" title="${escapeHtml(approval.content)}">${escapeHtml(approval.description || approval.content)}</span>
+                <span class="queue-attempts">第${approval.attempt}次</span>
+                <div class="review-files">${lines}${test}</div>
+            </div>`;
+    }).join('');
+}
+
+// 统一 diff 按行着色
+function renderDiff(diff) {
+    return diff.split('\n').map(line => {
+        let cls = '';
+        if (line.startsWith('+++') || line.startsWith('---')) cls = 'diff-file';
+        else if (line.startsWith('@@')) cls = 'diff-hunk';
+        else if (line.startsWith('+')) cls = 'diff-add';
+        else if (line.startsWith('-')) cls = 'diff-del';
+        return `<span class="${cls}">${escapeHtml(line)}</span>`;
+    }).join('\n');
+}
+
+async function openReview(approvalId) {
+    const detail = document.getElementById('reviewDetail');
+    const result = await API.adminRequest(`${API_CONFIG.agent.approvals}/${encodeURIComponent(approvalId)}`);
+    if (!result.success) {
+        detail.innerHTML = `<div class="queue-error">${escapeHtml(result.error || '加载失败')}</div>`;
+        return;
+    }
+    
+    const approval = result.data;
+    activeReviewId = approval.id;
+    const evaluation = approval.test?.evaluation;
+    detail.innerHTML = `
+        <div class="review-header">
+            <strong>${escapeHtml(approval.description)}</strong>
+            <div class="review-meta">${REVIEW_CHECKPOINT_NAMES[approval.checkpoint] || approval.checkpoint} · 反馈: ${escapeHtml(approval.content)}</div>
+            ${approval.test ? `<div class="review-meta">测试通过 ${approval.test.testsPassed}/${approval.test.testsRun}${evaluation ? ` · 评分 ${evaluation.score}/10 ${escapeHtml(evaluation.assessment)}` : ''}</div>` : ''}
+        </div>
+        <pre class="review-diff">${renderDiff(approval.diff || '（无变更）')}</pre>
+        <textarea class="review-edit" id="reviewEdit" spellcheck="false" hidden>${escapeHtml(approval.diff || '')}</textarea>
+        <textarea class="review-comment" id="reviewComment" placeholder="审核意见（驳回时必填，将反馈给方案生成）"></textarea>
+        <div class="review-actions">
+            <button class="queue-btn" data-review-action="approve">批准</button>
+            <button class="queue-btn" data-review-action="edit">编辑补丁</button>
+            <button class="queue-btn review-reject" data-review-action="reject">驳回</button>
+        </div>
+        <div class="queue-error" id="reviewError" hidden></div>
+    `;
+    loadAgentReview();
+}
+
+// 批准（编辑框展开时提交编辑后的 diff）、驳回或切换编辑
+async function submitReview(action) {
+    const edit = document.getElementById('reviewEdit');
+    const errorEl = document.getElementById('reviewError');
+    if (action === 'edit') {
+        edit.hidden = !edit.hidden;
+        return;
+    }
+    
+    const comment = document.getElementById('reviewComment').value.trim();
+    if (action === 'reject' && !comment) {
+        errorEl.textContent = '驳回时必须填写审核意见';
+        errorEl.hidden = false;
+        return;
+    }
+    
+    const body = { comment };
+    if (action === 'approve' && !edit.hidden) body.diff = edit.value;
+    
+    const result = await API.adminRequest(`${API_CONFIG.agent.approvals}/${encodeURIComponent(activeReviewId)}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+    });
+    if (!result.success) {
+        errorEl.textContent = result.error || '操作失败';
+        errorEl.hidden = false;
+        return;
+    }
+    
+    activeReviewId = null;
+    document.getElementById('reviewDetail').innerHTML = '';
+    loadAgentReview();
+    loadAgentQueue();
+}
+
 // 处理用户反馈 - 触发智能体工作流程 (流式版本)
 async function processFeedback(feedback, autoIterate = true) {
     console.log('[Agent] 开始处理反馈 (流式):', feedback);
@@ -597,7 +861,12 @@ async function processFeedback(feedback, autoIterate = true) {
             // onComplete - 处理完成
             (data) => {
                 console.log('[Stream] 处理完成:', data);
-                resolve(data.result || { success: true, status: 'completed' });
+                // 记录服务端反馈ID，供自动化迭代使用；jobId 或 processing 表示智能体已处理过该反馈
+                resolve({
+                    ...(data.result || { success: true, status: 'completed' }),
+                    feedbackId: data.feedbackId,
+                    agentProcessed: Boolean(data.jobId) || data.status === 'processing'
+                });
             },
             // onError - 处理错误
             (data) => {
@@ -642,7 +911,14 @@ async function processFeedback(feedback, autoIterate = true) {
             streamContainer.insertBefore(iterateItem, streamContainer.firstChild);
         }
         
-        const iterationResult = await triggerAutoIteration(feedback.id);
+        // 智能体已处理过时只查询迭代状态，避免同一反馈重复运行智能体流程
+        const feedbackId = result.feedbackId || feedback.id;
+        let iterationResult = result.agentProcessed
+            ? await getIterationStatus(feedbackId) || { success: false, error: '无法获取迭代状态' }
+            : await triggerAutoIteration(feedbackId);
+        if (iterationResult.active) {
+            iterationResult = await waitForIteration(iterationResult.feedbackId) || iterationResult;
+        }
         
         if (streamContainer) {
             // 移除迭代中的提示
@@ -655,16 +931,27 @@ async function processFeedback(feedback, autoIterate = true) {
             const resultItem = document.createElement('div');
             resultItem.className = 'stream-item';
             
-            if (iterationResult.success) {
+            if (iterationResult.success !== false && iterationResult.status !== 'failed') {
                 console.log('[Agent] 自动化迭代已触发:', iterationResult);
-                if (iterationResult.data?.pr?.url) {
+                if (iterationResult.approval) {
+                    resultItem.innerHTML = `
+                        <div class="stream-item-header">
+                            <span class="stream-item-status processing">待审核</span>
+                            <span class="log-time">${time}</span>
+                        </div>
+                        <div class="stream-item-content">
+                            ⏸ ${REVIEW_CHECKPOINT_NAMES[iterationResult.approval.checkpoint] || '人工审核'}: 请在审核面板中批准或驳回
+                        </div>
+                    `;
+                    loadAgentReview();
+                } else if (iterationResult.pr?.url) {
                     resultItem.innerHTML = `
                         <div class="stream-item-header">
-                            <span class="stream-item-status completed">已合并</span>
+                            <span class="stream-item-status completed">PR已创建</span>
                             <span class="log-time">${time}</span>
                         </div>
                         <div class="stream-item-content">
-                            🎉 PR 已创建: <a href="${iterationResult.data.pr.url}" target="_blank">#${iterationResult.data.pr.number}</a>
+                            🎉 PR 已创建: <a href="${iterationResult.pr.url}" target="_blank">#${iterationResult.pr.number}</a>
                         </div>
                     `;
                 } else {
@@ -700,7 +987,7 @@ async function processFeedback(feedback, autoIterate = true) {
         
         // 更新反馈状态
         if (idx !== -1) {
-            DB.feedbacks[idx].status = iterationResult.data?.merged ? 'merged' : 'iterating';
+            DB.feedbacks[idx].status = iterationResult.pr ? 'pending_review' : iterationResult.approval ? 'awaiting_approval' : 'iterating';
         } else {
             if (logContainer) {
                 const errorEntry = document.createElement('div');
@@ -921,7 +1208,7 @@ async function processAndIterate(feedback) {
             // 更新本地状态
             const idx = DB.feedbacks.findIndex(f => f.id === feedback.id);
             if (idx !== -1) {
-                DB.feedbacks[idx].status = result.data.iteration?.success ? 'iterating' : 'pending_review';
+                DB.feedbacks[idx].status = result.data.iteration?.active ? 'iterating' : 'pending_review';
                 DB.feedbacks[idx].iteration = result.data.iteration;
             }
             
@@ -947,6 +1234,17 @@ async function getIterationStatus(feedbackId) {
     }
 }
 
+// 轮询迭代状态直到处理结束
+async function waitForIteration(feedbackId, { interval = 3000, timeout = 10 * 60 * 1000 } = {}) {
+    const deadline = Date.now() + timeout;
+    let status = await getIterationStatus(feedbackId);
+    while (status?.active && Date.now() < deadline) {
+        await simulateDelay(interval);
+        status = await getIterationStatus(feedbackId);
+    }
+    return status;
+}
+
 // 检测意图
 function detectIntent(content) {
     const lower = content.toLowerCase();
@@ -1007,20 +1305,25 @@ function simulateDelay(ms) {
 // 获取阶段名称
 function getStageName(stage) {
     const stageNames = {
+        'queued': '排队中',
+        'retrying': '等待重试',
         'analyzing': '分析中',
         'generating': '生成中',
         'generated': '已生成',
         'testing': '测试中',
-        'publishing': '发布中'
+        'publishing': '发布中',
+        'processing': '后台处理中',
+        'needs_human': '需人工处理',
+        'awaiting_approval': '待审核'
     };
     return stageNames[stage] || stage;
 }
 
-// HTML转义
+// HTML转义（同时转义引号，结果可用于属性值）
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // 添加反馈到智能体实时意见流
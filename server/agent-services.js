@@ -9,9 +9,15 @@
  * 5. 发布决策服务 - 生成改进说明、创建PR
  */
 
-const axios = require('axios');
 const { circuitBreaker } = require('./circuit-breaker');
+const { pricing } = require('./pricing');
 const database = require('./database');
+const { getProvider } = require('./llm-providers');
+const { SCHEMAS, StructuredOutputError, parseStructured, buildRepairMessages } = require('./structured-output');
+const { CodeIndex } = require('./code-index');
+
+// 结构化输出校验失败后的最大修复次数
+const MAX_REPAIR_ATTEMPTS = 2;
 
 /**
  * 生成唯一ID
@@ -23,29 +29,24 @@ function generateId(prefix = 'task') {
 // ==================== LLM 调用服务 ====================
 
 /**
- * 调用 DeepSeek LLM
+ * 调用 LLM（经由当前配置的提供方）
  */
 async function callLLM(messages, options = {}) {
-    // 从环境变量或硬编码获取API Key
-    const hardcodedKey = 'sk-8cfff84f68554e8e807a3274c91737c2';
-    const apiKey = process.env.DEEPSEEK_API_KEY || hardcodedKey;
+    const provider = getProvider();
     
     const {
-        model = 'deepseek-chat',
+        model = provider.model,
         temperature = 0.7,
         maxTokens = 2000,
         taskId = null,
         feedbackId = null,
-        apiCallType = 'general'
+        apiCallType = 'general',
+        jsonMode = false
     } = options;
     
-    if (!apiKey) {
-        throw new Error('未配置 DEEPSEEK_API_KEY');
-    }
-    
-    // 熔断检查
+    // 熔断检查：按 maxTokens 预占，调用结束后按实际用量与费用结算
     const estimatedTokens = maxTokens;
-    const checkResult = await circuitBreaker.check('llm', apiCallType, estimatedTokens, taskId);
+    const checkResult = await circuitBreaker.check('llm', apiCallType, estimatedTokens, taskId, { model, feedbackId });
     
     if (!checkResult.allowed) {
         await database.recordCircuitBreakerEvent({
@@ -61,31 +62,71 @@ async function callLLM(messages, options = {}) {
     }
     
     try {
-        const response = await axios.post(
-            'https://api.deepseek.com/v1/chat/completions',
-            { model, messages, temperature, max_tokens: maxTokens },
-            { headers: { 'Authorization': `Bearer ${apiKey}` }, timeout: 60000 }
-        );
+        const { content, usage, model: servedModel } = await provider.chat({ messages, model, temperature, maxTokens, callType: apiCallType, jsonMode });
         
-        const usage = response.data.usage;
-        const content = response.data.choices?.[0]?.message?.content || '';
+        // 按提供方实际使用的模型计价；未报告用量时按预估结算
+        const cost = pricing.cost({ model: servedModel || model, ...usage });
+        circuitBreaker.settle(checkResult.reservation, usage.totalTokens || (usage.promptTokens + usage.completionTokens) || estimatedTokens, cost);
         
         await database.recordTokenUsage({
-            taskId, feedbackId, model,
-            promptTokens: usage?.prompt_tokens || 0,
-            completionTokens: usage?.completion_tokens || 0,
-            totalTokens: usage?.total_tokens || 0,
+            taskId, feedbackId,
+            model: servedModel || model,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            totalTokens: usage.totalTokens,
+            cachedTokens: usage.cachedTokens || 0,
+            cost,
             apiCallType, success: true
         });
         
-        await circuitBreaker.release(taskId, usage?.total_tokens || estimatedTokens);
-        
-        return { content, usage: { promptTokens: usage?.prompt_tokens || 0, completionTokens: usage?.completion_tokens || 0, totalTokens: usage?.total_tokens || 0 } };
+        return { content, usage };
     } catch (error) {
+        circuitBreaker.recordFailure(checkResult.reservation, error);
         await database.recordTokenUsage({ taskId, feedbackId, model, promptTokens: 0, completionTokens: 0, totalTokens: 0, apiCallType, success: false, error: error.message });
-        await circuitBreaker.release(taskId, 0);
         throw error;
+    } finally {
+        // 调用失败时预占未结算，全额退还
+        await circuitBreaker.release(checkResult.reservation);
+    }
+}
+
+/**
+ * 调用 LLM 并按调用类型的 Schema 校验输出
+ * 校验失败时把错误反馈给模型要求修正，每次失败都记录到任务日志；
+ * 修复次数用尽后抛出 StructuredOutputError
+ * options.check(value) 可返回额外的语义校验错误列表
+ */
+async function callStructuredLLM(messages, options = {}) {
+    const { apiCallType, taskId = null, check = null } = options;
+    const schema = SCHEMAS[apiCallType];
+    if (!schema) throw new Error(`未定义 ${apiCallType} 的输出Schema`);
+    
+    // JSON 模式要求顶层为对象
+    const callOptions = { ...options, jsonMode: schema.type === 'object' };
+    let conversation = messages;
+    let errors = [];
+    
+    for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+        const result = await callLLM(conversation, callOptions);
+        const parsed = parseStructured(result.content, schema);
+        errors = parsed.errors || (check ? check(parsed.value) : []);
+        if (errors.length === 0) {
+            return { ...result, value: parsed.value, attempts: attempt };
+        }
+        
+        console.warn(`[callStructuredLLM] ${apiCallType} 第${attempt}次输出未通过校验:`, errors.join('; '));
+        if (taskId) {
+            await database.addTaskStage(taskId, {
+                name: 'validate_output',
+                status: 'failed',
+                endTime: new Date().toISOString(),
+                data: { callType: apiCallType, attempt, errors, output: result.content.substring(0, 500) }
+            });
+        }
+        conversation = [...messages, ...buildRepairMessages(result.content, errors, schema)];
     }
+    
+    throw new StructuredOutputError(apiCallType, errors, MAX_REPAIR_ATTEMPTS + 1);
 }
 
 // ==================== 反馈分析服务 ====================
@@ -112,7 +153,7 @@ class FeedbackAnalyzer {
         
         try {
             console.log('[FeedbackAnalyzer] 调用LLM进行意图分析...');
-            const result = await callLLM([
+            const result = await callStructuredLLM([
                 { role: 'system', content: `你是反馈分析助手。请分析用户反馈的意图。
 请从以下维度分析：
 1. 问题类型(intent)：accuracy(准确率), speed(速度), ui(界面), function(功能), language(语言), other(其他)
@@ -125,11 +166,7 @@ class FeedbackAnalyzer {
             
             console.log('[FeedbackAnalyzer] LLM返回结果:', result.content.substring(0, 200));
             
-            let analysis = { intent: 'other', feasibility: 'medium', priority: 'medium', impact: 'localized', summary: content };
-            try {
-                const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) analysis = { ...analysis, ...JSON.parse(jsonMatch[0]) };
-            } catch (e) {}
+            const analysis = { summary: content, ...result.value };
             
             console.log('[FeedbackAnalyzer] 解析后的分析结果:', analysis);
             
@@ -141,19 +178,69 @@ class FeedbackAnalyzer {
             return { success: true, taskId, analysis, canAutoImprove, structuredResult: canAutoImprove ? { intent: analysis.intent, impact: analysis.impact, priority: analysis.priority, summary: analysis.summary } : null };
         } catch (error) {
             console.error('[FeedbackAnalyzer] 分析失败:', error.message);
+            circuitBreaker.recordFailure(checkResult.reservation, error);
             await database.addTaskStage(taskId, { name: 'analyze_intent', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
             await database.updateTaskLog(taskId, { status: 'failed', error: error.message });
             return { success: false, error: error.message, fallback: true };
+        } finally {
+            // 服务级预占只用于准入检查，实际用量由 callLLM 结算
+            await circuitBreaker.release(checkResult.reservation);
         }
     }
 }
 
 // ==================== 改进方案生成服务 ====================
 
+// 提示词中代码段的数量与总长度上限
+const CONTEXT_SNIPPETS = 5;
+const CONTEXT_MAX_CHARS = 6000;
+
 class SolutionGenerator {
+    /**
+     * 检索相关代码段，生成提示词中的代码库上下文
+     */
+    buildRepositoryContext(codeIndex, query) {
+        const snippets = [];
+        let length = 0;
+        for (const hit of codeIndex.search(query, { limit: CONTEXT_SNIPPETS })) {
+            const block = `--- ${hit.file} 第${hit.startLine}-${hit.endLine}行 ---\n${hit.content}`;
+            if (length + block.length > CONTEXT_MAX_CHARS) break;
+            snippets.push(block);
+            length += block.length;
+        }
+        
+        return {
+            prompt: `仓库文件列表：\n${codeIndex.describeFiles() || '（空）'}\n\n相关代码段：\n${snippets.join('\n\n') || '（未检索到相关代码）'}`,
+            snippets: snippets.length
+        };
+    }
+    
+    /**
+     * 之前无法应用、未通过测试或被审核驳回的尝试：方案、应用错误、失败的测试与LLM评估、审核意见
+     */
+    buildFailureContext(previousAttempts) {
+        return previousAttempts.map(a => {
+            const header = `第${a.attempt}次尝试: ${a.solution.description}\n修改指令: ${JSON.stringify(a.solution.changes)}`;
+            if (a.stage === 'modification') {
+                return `${header}\n修改无法应用: ${a.error}`;
+            }
+            if (a.stage === 'review') {
+                const tests = a.testsRun ? `\n测试通过 ${a.testsPassed}/${a.testsRun}` : '';
+                return `${header}${tests}\n审核驳回，审核意见: ${a.reviewComment}`;
+            }
+            const failedTests = a.failedTests.map(t => `  - ${t.name}: ${t.error || t.status}`).join('\n') || '  （无详细信息）';
+            const evaluation = a.evaluation
+                ? `评分 ${a.evaluation.score}/10，${a.evaluation.assessment}${(a.evaluation.recommendations || []).map(r => `\n  - 建议: ${r}`).join('')}`
+                : '无';
+            return `${header}\n测试通过 ${a.testsPassed}/${a.testsRun}，失败的测试:\n${failedTests}\nLLM评估: ${evaluation}`;
+        }).join('\n\n');
+    }
+    
     async generate(analysisResult, context = {}) {
         const taskId = generateId('solution');
         const { feedbackId, intent, summary, priority } = analysisResult;
+        const codeIndex = context.codeIndex || CodeIndex.build(WORK_DIR);
+        const previousAttempts = context.previousAttempts || [];
         
         await database.createTaskLog({ taskId, feedbackId, status: 'generating', stages: [] });
         await database.addTaskStage(taskId, { name: 'generate_solution', status: 'started', startTime: new Date().toISOString() });
@@ -168,21 +255,47 @@ class SolutionGenerator {
         }
         
         try {
+            const repoContext = this.buildRepositoryContext(codeIndex, `${summary} ${context.feedbackContent || ''}`);
+            await database.addTaskStage(taskId, { name: 'retrieve_context', status: 'completed', endTime: new Date().toISOString(), data: { files: codeIndex.files.length, snippets: repoContext.snippets, previousAttempts: previousAttempts.length } });
+            
+            // 重试时附上失败信息与审核意见，之前的修改已撤销，新方案基于当前仓库代码
+            const failureContext = previousAttempts.length > 0
+                ? `\n\n以下方案已尝试但无法应用、测试未通过或被审核驳回，修改已撤销。请针对失败原因与审核意见生成不同的方案：\n${this.buildFailureContext(previousAttempts)}`
+                : '';
+            
             console.log('[SolutionGenerator] 调用LLM生成解决方案...');
-            const result = await callLLM([
+            const result = await callStructuredLLM([
                 { role: 'system', content: `你是代码改进方案助手。根据分析结果生成代码修改指令。
-请生成JSON格式的修改指令：
-{"file":"需要修改的文件路径","action":"操作类型: replace/insert/delete","codeBlock":"代码块内容","description":"修改说明"}` },
-                { role: 'user', content: `问题类型: ${intent}\n问题描述: ${summary}\n优先级: ${priority}\n请生成代码修改指令:` }
-            ], { taskId, feedbackId, apiCallType: 'generate_solution', maxTokens: 1000 });
+请生成JSON格式的修改指令，一个方案可以修改多个文件（如同时修改HTML、JS与CSS），所有文件作为整体应用：
+{"description":"修改说明","changes":[{"file":"需要修改的文件路径","action":"操作类型", ...操作参数}]}
+操作类型与参数：
+- replace：{"edits":[{"search":"文件中原有的代码（逐字一致且唯一）","replace":"替换后的代码"}]}
+- patch：{"diff":"针对该文件的统一diff，上下文行必须与文件一致"}
+- insert：{"codeBlock":"新增代码","anchor":"可选，插入到包含该文本的行之后；省略时追加到文件末尾"}
+- create：{"codeBlock":"新文件的完整内容"}
+- delete：删除整个文件，无需参数
+不要返回整个文件内容，只描述需要变更的部分。每个文件在 changes 中只出现一次。
+file 必须是仓库文件列表中的路径（create 除外），search 与 anchor 必须逐字摘自提供的代码段。` },
+                { role: 'user', content: `${repoContext.prompt}\n\n问题类型: ${intent}\n问题描述: ${summary}\n优先级: ${priority}${failureContext}\n请生成代码修改指令:` }
+            ], {
+                taskId, feedbackId, apiCallType: 'generate_solution', maxTokens: 1000,
+                // 拒绝仓库中不存在的文件，交由修复重试
+                check: sol => sol.changes.flatMap((change, i) => {
+                    const errors = [];
+                    if (sol.changes.findIndex(c => c.file === change.file) !== i) errors.push(`${change.file} 在 changes 中重复出现`);
+                    const exists = codeIndex.hasFile(change.file);
+                    if (change.action === 'create') {
+                        if (exists) errors.push(`${change.file} 已存在，不能 create`);
+                    } else if (!exists) {
+                        errors.push(`${change.file} 不在仓库文件列表中`);
+                    }
+                    return errors;
+                })
+            });
             
             console.log('[SolutionGenerator] LLM返回:', result.content.substring(0, 200));
             
-            let solution = { file: 'src/main.js', action: 'replace', codeBlock: '// 改进代码', description: summary };
-            try {
-                const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) solution = { ...solution, ...JSON.parse(jsonMatch[0]) };
-            } catch (e) {}
+            const solution = result.value;
             
             console.log('[SolutionGenerator] 解析后的方案:', solution);
             
@@ -192,9 +305,12 @@ class SolutionGenerator {
             return { success: true, taskId, solution };
         } catch (error) {
             console.error('[SolutionGenerator] 生成失败:', error.message);
+            circuitBreaker.recordFailure(checkResult.reservation, error);
             await database.addTaskStage(taskId, { name: 'generate_solution', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
             await database.updateTaskLog(taskId, { status: 'failed', error: error.message });
             return { success: false, error: error.message };
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
         }
     }
 }
@@ -203,50 +319,231 @@ class SolutionGenerator {
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
+const { PatchError, planChange, normalizeSolution, summarizePlans, formatUnifiedDiff } = require('./code-patch');
+const { FilePolicy, PolicyViolationError } = require('./file-policy');
+const { getHostingClient } = require('./git-hosting');
+const { ApprovalGate } = require('./approval-gate');
 
-const GITHUB_REPO = 'https://github.com/LJN-sisi/-translate-plugin';
-// GitHub Token（需要配置才能推送）
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
-// 使用ai-translator目录作为工作目录（插件目录）
-const WORK_DIR = path.join(__dirname, '..', 'ai-translator');
+// 使用ai-translator目录作为工作目录（插件目录），可通过 AGENT_WORK_DIR 覆盖
+const WORK_DIR = process.env.AGENT_WORK_DIR || path.join(__dirname, '..', 'ai-translator');
 
 class CodeModifier {
     constructor() {
         this.repoDir = WORK_DIR;
+        this.policy = FilePolicy.fromEnv();
         console.log(`[CodeModifier] 工作目录: ${this.repoDir}`);
     }
 
+    git(args) {
+        return execFileSync('git', args, { cwd: this.repoDir, encoding: 'utf8', stdio: 'pipe' }).trim();
+    }
+
     ensureRepo() {
+        const { repoUrl, baseBranch } = getHostingClient();
+        
         // 检查是否是git仓库
         const gitDir = path.join(this.repoDir, '.git');
         if (!fs.existsSync(gitDir)) {
             console.log(`[CodeModifier] 初始化Git仓库: ${this.repoDir}`);
             try {
                 execSync(`git init`, { cwd: this.repoDir, stdio: 'pipe' });
-                execSync(`git remote add origin ${GITHUB_REPO}`, { cwd: this.repoDir, stdio: 'pipe' });
+                this.git(['remote', 'add', 'origin', repoUrl]);
                 execSync(`git fetch origin`, { cwd: this.repoDir, stdio: 'pipe' });
-                execSync(`git checkout -b main origin/main 2>/dev/null || git checkout -b main`, { cwd: this.repoDir, stdio: 'pipe' });
+                this.git(['checkout', '-b', baseBranch, `origin/${baseBranch}`]);
                 console.log('[CodeModifier] Git仓库初始化成功');
             } catch (e) {
                 console.log('[CodeModifier] Git仓库初始化失败:', e.message);
             }
         }
         
-        // 每次同步最新代码
+        // 每次回到基础分支并同步最新代码
         try {
             execSync(`git fetch origin`, { cwd: this.repoDir, stdio: 'pipe' });
-            execSync(`git reset --hard origin/main`, { cwd: this.repoDir, stdio: 'pipe' });
+            this.git(['checkout', '-f', baseBranch]);
+            this.git(['reset', '--hard', `origin/${baseBranch}`]);
             console.log('[CodeModifier] 已同步最新代码');
         } catch (e) {
             console.log('[CodeModifier] 同步失败，可能首次运行:', e.message);
         }
     }
 
-    async applyChanges(solution) {
+    /**
+     * 为反馈创建工作分支：feedback-{反馈ID}-{时间戳}
+     */
+    createBranch(feedbackId) {
+        const branch = `feedback-${String(feedbackId || 'manual').replace(/[^A-Za-z0-9_-]/g, '_')}-${Date.now()}`;
+        this.git(['checkout', '-B', branch]);
+        return branch;
+    }
+
+    /**
+     * 推送工作分支，失败时返回去除令牌后的错误信息
+     */
+    pushBranch(branch) {
+        const hosting = getHostingClient();
+        try {
+            this.git(['push', hosting.getPushRemote(), `${branch}:${branch}`]);
+            console.log(`[CodeModifier] 已推送分支: ${branch}`);
+            return { pushed: true };
+        } catch (error) {
+            const message = hosting.redact(error.stderr || error.message).trim();
+            console.log(`[CodeModifier] 推送失败:`, message);
+            if (!hosting.isConfigured) {
+                console.log(`[CodeModifier] 提示: 请配置GITHUB_TOKEN环境变量来启用自动推送`);
+            }
+            return { pushed: false, pushError: message };
+        }
+    }
+
+    /**
+     * 撤销一次未通过测试的尝试：回到基础分支并删除未推送的工作分支
+     */
+    revertAttempt(branch) {
+        const { baseBranch } = getHostingClient();
+        try {
+            this.git(['checkout', '-f', baseBranch]);
+            this.git(['branch', '-D', branch]);
+            console.log(`[CodeModifier] 已撤销分支: ${branch}`);
+            return true;
+        } catch (error) {
+            console.log(`[CodeModifier] 撤销分支失败:`, error.stderr || error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 基础分支的提交（优先远程跟踪分支），只读取，不检出
+     */
+    resolveBaseRef() {
+        const { baseBranch } = getHostingClient();
+        // 工作目录不是仓库时 git 会向上找到外层仓库
+        if (!fs.existsSync(path.join(this.repoDir, '.git'))) {
+            throw new Error(`工作目录尚未初始化: ${this.repoDir}`);
+        }
+        for (const ref of [`origin/${baseBranch}`, baseBranch]) {
+            try {
+                return this.git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+            } catch (e) {
+                // 尝试下一个
+            }
+        }
+        throw new Error(`工作目录中没有基础分支: ${baseBranch}`);
+    }
+
+    /**
+     * 读取提交中的文件，不存在时返回 null
+     */
+    readFromRef(ref, relativePath) {
+        try {
+            this.git(['cat-file', '-e', `${ref}:${relativePath}`]);
+        } catch (e) {
+            return null;
+        }
+        return execFileSync('git', ['show', `${ref}:${relativePath}`], { cwd: this.repoDir, encoding: 'utf8', stdio: 'pipe', maxBuffer: 16 * 1024 * 1024 });
+    }
+
+    /**
+     * 读取目标文件并计算整个修改集的计划
+     * 任一文件违反策略或补丁不匹配时抛出，此时不会写入任何文件
+     * baseRef 指定时从该提交读取原文件，不读取工作目录
+     */
+    planChangeSet(sol, { baseRef = null } = {}) {
+        const { changes } = normalizeSolution(sol);
+        
+        // 路径与允许/禁止规则检查，违规时不读取也不写入任何文件
+        const { resolved, violations } = this.policy.checkFiles(this.repoDir, changes.map(c => c.file));
+        if (violations.length > 0) throw new PolicyViolationError(violations);
+        
+        const seen = new Set();
+        const plans = changes.map((change, i) => {
+            const { absolutePath: targetFile, relativePath: file } = resolved[i];
+            if (seen.has(file)) throw new PatchError(`同一文件在方案中出现多次: ${file}`);
+            seen.add(file);
+            
+            const original = baseRef
+                ? this.readFromRef(baseRef, file)
+                : (fs.existsSync(targetFile) ? fs.readFileSync(targetFile, 'utf8') : null);
+            return { file, targetFile, original, plan: planChange(original, { ...change, file }) };
+        });
+        
+        const sizeViolations = plans.map(p => this.policy.checkContent(p.file, p.plan.content)).filter(Boolean);
+        if (sizeViolations.length > 0) throw new PolicyViolationError(sizeViolations);
+        
+        return plans;
+    }
+
+    /**
+     * 修改集相对基础分支的统一 diff，供人工审核
+     */
+    renderDiff(plans) {
+        return plans.map(p => formatUnifiedDiff(p.file, p.original, p.plan.content)).join('');
+    }
+
+    /**
+     * 写入修改集，任一文件写入失败时恢复已写入的文件
+     */
+    writeChangeSet(plans) {
+        const written = [];
+        try {
+            for (const entry of plans) {
+                if (entry.plan.content === null) {
+                    fs.unlinkSync(entry.targetFile);
+                } else {
+                    fs.mkdirSync(path.dirname(entry.targetFile), { recursive: true });
+                    fs.writeFileSync(entry.targetFile, entry.plan.content);
+                }
+                written.push(entry);
+            }
+        } catch (error) {
+            for (const entry of written.reverse()) {
+                if (entry.original === null) {
+                    fs.rmSync(entry.targetFile, { force: true });
+                } else {
+                    fs.writeFileSync(entry.targetFile, entry.original);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 策略违规记录为熔断事件，频繁违规会触发熔断
+     */
+    async recordPolicyViolations(violations, { taskId, feedbackId }) {
+        for (const violation of violations) {
+            circuitBreaker.recordEvent('code_modifier', 'file_policy', 'POLICY_VIOLATION', 0, taskId);
+            await database.recordCircuitBreakerEvent({
+                service: 'code_modifier',
+                action: 'file_policy',
+                eventType: 'POLICY_VIOLATION',
+                taskId,
+                feedbackId,
+                file: violation.file,
+                rule: violation.rule,
+                message: violation.message
+            });
+        }
+    }
+
+    /**
+     * 应用代码修改
+     * dryRun 时基于基础分支计算将要修改的行，不检出、不写文件、不提交
+     */
+    async applyChanges(solution, { dryRun = false } = {}) {
         const taskId = generateId('modify');
         const { feedbackId, solution: sol } = solution;
         
+        if (dryRun) {
+            try {
+                // 工作目录由队列中的任务共用，预览不能同步或重置它
+                const plans = this.planChangeSet(sol, { baseRef: this.resolveBaseRef() });
+                return { success: true, dryRun: true, ...summarizePlans(plans), diff: this.renderDiff(plans) };
+            } catch (error) {
+                return { success: false, dryRun: true, error: error.message, violations: error.violations };
+            }
+        }
+        
         await database.createTaskLog({ taskId, feedbackId, status: 'modifying', stages: [] });
         await database.addTaskStage(taskId, { name: 'apply_changes', status: 'started', startTime: new Date().toISOString() });
         
@@ -260,66 +557,31 @@ class CodeModifier {
         try {
             this.ensureRepo();
             
-            // 直接在main分支上修改并推送
-            let actualChange = false;
-            let linesAdded = 0;
-            let linesRemoved = 0;
+            // 先计算全部文件的修改计划，任一文件不匹配时抛出 PatchError，文件保持不变
+            const plans = this.planChangeSet(sol);
+            const branch = this.createBranch(feedbackId);
             
-            if (sol.file && sol.codeBlock) {
-                const targetFile = path.join(this.repoDir, sol.file);
-                const dir = path.dirname(targetFile);
-                if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-                
-                // 记录修改前的行数
-                let originalContent = '';
-                if (fs.existsSync(targetFile)) {
-                    originalContent = fs.readFileSync(targetFile, 'utf8');
-                    linesRemoved = originalContent.split('\n').length;
-                }
-                
-                if (sol.action === 'insert') {
-                    fs.writeFileSync(targetFile, originalContent + '\n' + sol.codeBlock);
-                } else {
-                    fs.writeFileSync(targetFile, sol.codeBlock);
-                }
-                linesAdded = sol.codeBlock.split('\n').length;
-                
-                actualChange = true;
-                console.log(`[CodeModifier] 已修改文件: ${sol.file}`);
-            }
+            this.writeChangeSet(plans);
+            const summary = summarizePlans(plans);
+            const files = summary.files.map(f => f.file);
+            const actualChange = summary.linesAdded + summary.linesRemoved > 0;
+            summary.files.forEach(f => console.log(`[CodeModifier] 已修改文件: ${f.file} (+${f.linesAdded} -${f.linesRemoved})`));
             
+            // 在工作分支上提交，不直接修改基础分支；测试通过后由 Agent 推送
             let commitHash = '';
             if (actualChange) {
-                try {
-                    execSync(`git add -A`, { cwd: this.repoDir, stdio: 'pipe' });
-                    execSync(`git commit -m "Auto: ${sol.description || 'Code improvement from feedback'}"`, { cwd: this.repoDir, stdio: 'pipe' });
-                    commitHash = execSync(`git rev-parse HEAD`, { cwd: this.repoDir, encoding: 'utf8' }).trim();
-                    console.log(`[CodeModifier] 提交成功: ${commitHash.substring(0, 7)}`);
-                    
-                    // 推送到GitHub main分支
-                    try {
-                        if (GITHUB_TOKEN) {
-                            // 使用Token推送
-                            execSync(`git push https://${GITHUB_TOKEN}@github.com/LJN-sisi/-translate-plugin.git main`, { cwd: this.repoDir, stdio: 'pipe' });
-                        } else {
-                            // 无Token时尝试普通推送
-                            execSync(`git push origin main`, { cwd: this.repoDir, stdio: 'pipe' });
-                        }
-                        console.log(`[CodeModifier] 已推送到GitHub`);
-                    } catch (pushErr) {
-                        console.log(`[CodeModifier] 推送失败:`, pushErr.message);
-                        console.log(`[CodeModifier] 提示: 请配置GITHUB_TOKEN环境变量来启用自动推送`);
-                    }
-                } catch (e) {
-                    console.log('[CodeModifier] 提交失败:', e.message);
-                }
+                this.git(['add', '-A']);
+                this.git(['commit', '-m', `Auto: ${sol.description || 'Code improvement from feedback'}`]);
+                commitHash = this.git(['rev-parse', 'HEAD']);
+                console.log(`[CodeModifier] 提交成功: ${commitHash.substring(0, 7)}`);
             }
             
             const modified = {
-                branch: 'main',
-                file: sol.file,
+                branch,
+                files,
                 commit: commitHash,
-                changes: { action: sol.action || 'replace', linesAdded, linesRemoved, actualChange },
+                pushed: false,
+                changes: { ...summary, actualChange },
                 repoDir: this.repoDir,
                 timestamp: new Date().toISOString()
             };
@@ -327,11 +589,21 @@ class CodeModifier {
             await database.addTaskStage(taskId, { name: 'apply_changes', status: 'completed', endTime: new Date().toISOString(), data: modified });
             await database.updateTaskLog(taskId, { status: 'modified', result: modified });
             
-            return { success: true, taskId, branch: 'main', file: sol.file, changes: modified.changes };
+            return { success: true, taskId, branch, file: files[0], files, commit: commitHash, pushed: false, changes: modified.changes, diff: this.renderDiff(plans) };
         } catch (error) {
-            await database.addTaskStage(taskId, { name: 'apply_changes', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
+            // 锚点不匹配、违反文件策略等是方案本身的问题：可以重新生成方案，不计为服务失败
+            // 策略违规已逐条记录为熔断事件
+            const retryable = error instanceof PatchError || error instanceof PolicyViolationError;
+            if (error instanceof PolicyViolationError) {
+                await this.recordPolicyViolations(error.violations, { taskId, feedbackId });
+            } else if (!retryable) {
+                circuitBreaker.recordFailure(checkResult.reservation, error);
+            }
+            await database.addTaskStage(taskId, { name: 'apply_changes', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message, violations: error.violations } });
             await database.updateTaskLog(taskId, { status: 'failed', error: error.message });
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, violations: error.violations, retryable };
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
         }
     }
 }
@@ -354,8 +626,8 @@ class TestService {
     /**
      * 调用LLM生成浏览器测试用例
      */
-    async generateTestCases(modification, feedback) {
-        const { file, solution } = modification;
+    async generateTestCases(modification, feedback, taskId = null) {
+        const { files = [modification.file], solution } = modification;
         
         // 熔断检查
         const checkResult = await circuitBreaker.check('test_service', 'llm_call', 1500, null);
@@ -363,8 +635,9 @@ class TestService {
             throw new Error(`熔断器阻止: ${checkResult.reason}`);
         }
         
-        const result = await callLLM([
-            { role: 'system', content: `你是测试工程师。根据代码修改生成浏览器自动化测试用例。
+        try {
+            const result = await callStructuredLLM([
+                { role: 'system', content: `你是测试工程师。根据代码修改生成浏览器自动化测试用例。
 
 请生成JSON格式的测试用例数组：
 [{"name":"测试名称","action":"测试动作描述","selector":"CSS选择器","expected":"预期结果"}]
@@ -374,25 +647,16 @@ class TestService {
 2. 测试插件的翻译功能
 3. 包含功能测试和UI测试
 4. 考虑修改内容生成针对性的测试` },
-            { role: 'user', content: `修改的文件: ${file}\n修改内容: ${solution?.description}\n原始反馈: ${feedback?.content}\n请生成测试用例:` }
-        ], { apiCallType: 'generate_test_cases', maxTokens: 1000 });
-        
-        let testCases = [];
-        try {
-            const jsonMatch = result.content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                testCases = JSON.parse(jsonMatch[0]);
-            }
-        } catch (e) {
-            console.warn('[TestService] 解析测试用例失败，使用默认:', e.message);
-            // 默认测试用例
-            testCases = [
-                { name: '页面加载测试', action: '打开插件popup', selector: 'body', expected: '页面正常显示' },
-                { name: '翻译功能测试', action: '测试翻译按钮', selector: '#translateBtn', expected: '翻译成功' }
-            ];
+                { role: 'user', content: `修改的文件: ${files.join(', ')}\n修改内容: ${solution?.description}\n原始反馈: ${feedback?.content}\n请生成测试用例:` }
+            ], { taskId, feedbackId: modification.feedbackId, apiCallType: 'generate_test_cases', maxTokens: 1000 });
+            
+            return result.value;
+        } catch (error) {
+            circuitBreaker.recordFailure(checkResult.reservation, error);
+            throw error;
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
         }
-        
-        return testCases;
     }
     
     /**
@@ -473,13 +737,13 @@ class TestService {
                     
                     if (testCase.name.includes('加载') || testCase.name.includes('页面')) {
                         // 页面加载测试
-                        await page.goto('file://' + path.join(__dirname, '..', 'ai-translator', 'popup.html'), { waitUntil: 'networkidle0' });
+                        await page.goto('file://' + path.join(WORK_DIR, 'popup.html'), { waitUntil: 'networkidle0' });
                         await page.waitForSelector('body', { timeout: 5000 });
                         const title = await page.title();
                         passed = !!title;
                     } else if (testCase.name.includes('翻译')) {
                         // 翻译功能测试 - 打开popup页面
-                        await page.goto('file://' + path.join(__dirname, '..', 'ai-translator', 'popup.html'), { waitUntil: 'networkidle0' });
+                        await page.goto('file://' + path.join(WORK_DIR, 'popup.html'), { waitUntil: 'networkidle0' });
                         // 检查关键元素
                         const hasElements = await page.evaluate(() => {
                             return document.body.children.length > 0;
@@ -491,13 +755,13 @@ class TestService {
                         page.on('console', msg => {
                             if (msg.type() === 'error') errors.push(msg.text());
                         });
-                        await page.goto('file://' + path.join(__dirname, '..', 'ai-translator', 'popup.html'), { waitUntil: 'networkidle0' });
+                        await page.goto('file://' + path.join(WORK_DIR, 'popup.html'), { waitUntil: 'networkidle0' });
                         await page.waitForTimeout(1000);
                         passed = errors.length === 0;
                         if (!passed) error = errors.join(', ');
                     } else {
                         // 默认测试 - 检查页面可访问
-                        await page.goto('file://' + path.join(__dirname, '..', 'ai-translator', 'popup.html'), { waitUntil: 'networkidle0' });
+                        await page.goto('file://' + path.join(WORK_DIR, 'popup.html'), { waitUntil: 'networkidle0' });
                         passed = true;
                     }
                     
@@ -542,30 +806,29 @@ class TestService {
     /**
      * 调用LLM评估测试结果
      */
-    async evaluateTestResults(testResult, modification) {
+    async evaluateTestResults(testResult, modification, taskId = null) {
         // 熔断检查
         const checkResult = await circuitBreaker.check('test_service', 'llm_evaluate', 500, null);
         if (!checkResult.allowed) {
             return null; // 跳过LLM评估
         }
         
-        const result = await callLLM([
-            { role: 'system', content: `你是测试评估专家。请评估测试结果并给出评分。
+        try {
+            const result = await callStructuredLLM([
+                { role: 'system', content: `你是测试评估专家。请评估测试结果并给出评分。
 
 请返回JSON格式：
 {"score": 评分(0-10), "assessment": "评估说明", "recommendations": ["建议1", "建议2"]}` },
-            { role: 'user', content: `测试结果: ${JSON.stringify(testResult)}\n修改内容: ${modification?.solution?.description}\n请评估:` }
-        ], { apiCallType: 'evaluate_test', maxTokens: 300 });
-        
-        let evaluation = null;
-        try {
-            const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                evaluation = JSON.parse(jsonMatch[0]);
-            }
-        } catch (e) {}
-        
-        return evaluation;
+                { role: 'user', content: `测试结果: ${JSON.stringify(testResult)}\n修改内容: ${modification?.solution?.description}\n请评估:` }
+            ], { taskId, feedbackId: modification?.feedbackId, apiCallType: 'evaluate_test', maxTokens: 300 });
+            
+            return result.value;
+        } catch (error) {
+            circuitBreaker.recordFailure(checkResult.reservation, error);
+            throw error;
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
+        }
     }
     
     async runTests(modification) {
@@ -586,7 +849,7 @@ class TestService {
             // 步骤1: 调用LLM生成测试用例
             console.log('[TestService] 步骤1: 生成测试用例...');
             const feedback = await database.getFeedbackById(feedbackId);
-            const testCases = await this.generateTestCases(modification, feedback);
+            const testCases = await this.generateTestCases(modification, feedback, taskId);
             
             await database.addTaskStage(taskId, { name: 'generate_test_cases', status: 'completed', endTime: new Date().toISOString(), data: { testCases } });
             await database.addTaskStage(taskId, { name: 'run_browser_tests', status: 'started', startTime: new Date().toISOString() });
@@ -600,9 +863,15 @@ class TestService {
             
             // 步骤3: 调用LLM评估测试结果
             console.log('[TestService] 步骤3: 评估测试结果...');
-            const evaluation = await this.evaluateTestResults(testResult, modification);
-            
-            await database.addTaskStage(taskId, { name: 'evaluate_results', status: 'completed', endTime: new Date().toISOString(), data: evaluation });
+            // 评估仅作参考：输出校验失败时记录到任务日志，质量门禁不计LLM评分
+            let evaluation = null;
+            try {
+                evaluation = await this.evaluateTestResults(testResult, modification, taskId);
+                await database.addTaskStage(taskId, { name: 'evaluate_results', status: 'completed', endTime: new Date().toISOString(), data: evaluation });
+            } catch (error) {
+                if (!(error instanceof StructuredOutputError)) throw error;
+                await database.addTaskStage(taskId, { name: 'evaluate_results', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message, validationErrors: error.errors } });
+            }
             
             // 计算质量门禁
             const passRate = testResult.testsPassed / testResult.testsRun;
@@ -614,15 +883,6 @@ class TestService {
             
             const passed = qualityGate.testPassRate;
             
-            // 记录Token使用
-            await database.recordTokenUsage({
-                taskId, feedbackId,
-                model: 'deepseek-chat',
-                promptTokens: 0, completionTokens: 0, totalTokens: 0,
-                apiCallType: 'browser_test',
-                success: passed
-            });
-            
             await database.updateTaskLog(taskId, { status: passed ? 'tested' : 'failed', result: { ...testResult, evaluation, qualityGate, passed } });
             
             if (!passed) {
@@ -632,16 +892,48 @@ class TestService {
             
             return { success: true, passed: true, taskId, testResult, evaluation, qualityGate };
         } catch (error) {
+            circuitBreaker.recordFailure(checkResult.reservation, error);
             await database.addTaskStage(taskId, { name: 'run_browser_tests', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
             await database.updateTaskLog(taskId, { status: 'failed', error: error.message });
             return { success: false, error: error.message };
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
         }
     }
 }
 
 // ==================== 发布决策服务 ====================
 
+// PR 标题前缀（见 .codebuddy/rules/agents.mdc）
+const PR_TITLE_PREFIX = '[Auto]';
+
 class PublishService {
+    /**
+     * 各文件的行数统计（不含逐行内容）
+     */
+    summarizeFiles(modification) {
+        return (modification?.changes?.files || []).map(({ file, action, linesAdded, linesRemoved }) => ({ file, action, linesAdded, linesRemoved }));
+    }
+    
+    /**
+     * PR 正文：改进说明 + 测试结果摘要
+     */
+    buildPullRequestBody(changelog, { feedbackId, modification, test }) {
+        const lines = [changelog.body, ''];
+        const changes = (changelog.changes || []).filter(Boolean);
+        if (changes.length > 0) {
+            lines.push('### 变更', ...changes.map(c => `- ${c}`), '');
+        }
+        if (changelog.files.length > 0) {
+            lines.push('### 文件', ...changelog.files.map(f => `- \`${f.file}\` ${f.action} (+${f.linesAdded} -${f.linesRemoved})`), '');
+        }
+        if (test) {
+            lines.push('### 测试结果', `- 通过 ${test.testsPassed}/${test.testsRun}`, '');
+        }
+        lines.push(`反馈ID: ${feedbackId}`, `提交: ${modification?.commit || '-'}`);
+        return lines.join('\n');
+    }
+    
     async publish(testResult, originalFeedback) {
         const taskId = generateId('publish');
         const { feedbackId, solution, modification } = testResult;
@@ -657,39 +949,48 @@ class PublishService {
         }
         
         try {
-            const result = await callLLM([
+            const result = await callStructuredLLM([
                 { role: 'system', content: `你是发布说明助手。根据原始反馈和修改内容生成改进说明。
 请生成JSON格式的发布说明：
 {"title":"标题","body":"正文内容","changes":["变更1","变更2"]}` },
-                { role: 'user', content: `原始反馈: ${originalFeedback.content}\n修改文件: ${modification?.file}\n修改内容: ${solution?.description}\n请生成发布说明:` }
+                { role: 'user', content: `原始反馈: ${originalFeedback.content}\n修改文件: ${(modification?.files || []).join(', ')}\n修改内容: ${solution?.description}\n请生成发布说明:` }
             ], { taskId, feedbackId, apiCallType: 'generate_changelog', maxTokens: 500 });
             
-            let changelog = { title: '根据用户反馈优化', body: originalFeedback.content, changes: [solution?.description] };
-            try {
-                const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) changelog = { ...changelog, ...JSON.parse(jsonMatch[0]) };
-            } catch (e) {}
+            const changelog = { changes: [solution?.description], ...result.value, files: this.summarizeFiles(modification) };
+            if (!changelog.title.startsWith(PR_TITLE_PREFIX)) {
+                changelog.title = `${PR_TITLE_PREFIX} ${changelog.title}`;
+            }
             
             await database.addTaskStage(taskId, { name: 'generate_changelog', status: 'completed', endTime: new Date().toISOString(), data: changelog });
             await database.addTaskStage(taskId, { name: 'create_pr', status: 'started', startTime: new Date().toISOString() });
             
-            const prResult = {
-                url: `https://github.com/LJN-sisi/ai-translator/pull/${Date.now()}`,
-                number: Math.floor(Math.random() * 1000),
-                branch: modification?.branch,
+            if (!modification?.pushed) {
+                throw new Error(`分支 ${modification?.branch || '-'} 未推送，无法创建PR${modification?.pushError ? `: ${modification.pushError}` : ''}`);
+            }
+            
+            const hosting = getHostingClient();
+            const pr = await hosting.createPullRequest({
+                head: modification.branch,
                 title: changelog.title,
-                body: changelog.body,
-                createdAt: new Date().toISOString()
-            };
+                body: this.buildPullRequestBody(changelog, testResult)
+            });
+            const prResult = { ...pr, branch: modification.branch, commit: modification.commit };
+            console.log(`[PublishService] 已创建PR #${pr.number}: ${pr.url}`);
             
             await database.addTaskStage(taskId, { name: 'create_pr', status: 'completed', endTime: new Date().toISOString(), data: prResult });
             await database.updateTaskLog(taskId, { status: 'completed', completedAt: new Date().toISOString(), result: { changelog, pr: prResult } });
             
             return { success: true, taskId, changelog, pr: prResult };
         } catch (error) {
-            await database.addTaskStage(taskId, { name: 'generate_changelog', status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
+            circuitBreaker.recordFailure(checkResult.reservation, error);
+            // 按当前进行中的阶段记录失败
+            const task = await database.getTaskLogByTaskId(taskId);
+            const stage = task?.stages.some(st => st.name === 'create_pr') ? 'create_pr' : 'generate_changelog';
+            await database.addTaskStage(taskId, { name: stage, status: 'failed', endTime: new Date().toISOString(), data: { error: error.message } });
             await database.updateTaskLog(taskId, { status: 'failed', error: error.message });
             return { success: false, error: error.message };
+        } finally {
+            await circuitBreaker.release(checkResult.reservation);
         }
     }
 }
@@ -703,10 +1004,16 @@ class Agent {
         this.codeModifier = new CodeModifier();
         this.testService = new TestService();
         this.publishService = new PublishService();
+        this.approvalGate = ApprovalGate.fromEnv();
         console.log('[Agent] 智能体初始化完成');
     }
     
-    async process(feedback) {
+    /**
+     * 处理反馈
+     * options.analysisResult：已完成的分析结果（任务队列入队时分析以确定优先级），成功时不再重复分析
+     * options.approvalId：从已处理的审核检查点恢复（见 approval-gate.js）
+     */
+    async process(feedback, options = {}) {
         console.log('[Agent.process] 收到反馈:', feedback);
         const feedbackId = feedback.id || generateId('fb');
         const startTime = Date.now();
@@ -714,9 +1021,31 @@ class Agent {
         feedback.id = feedbackId;
         console.log(`[智能体] 开始处理反馈: ${feedbackId}`);
         
+        // 缺少密钥而降级的模拟模式不能修改代码，只有显式配置 LLM_PROVIDER=mock 时才运行模拟流程
+        const provider = getProvider();
+        if (provider.fallbackFrom) {
+            const error = `未配置 ${provider.fallbackFrom} 的 API Key，智能体不可用`;
+            await database.updateFeedback(feedbackId, { status: 'failed', error });
+            return { success: false, feedbackId, stage: 'config', error, duration: Date.now() - startTime };
+        }
+        
+        // 从审核检查点恢复时沿用暂停时保存的分析结果
+        let approval = null;
+        if (options.approvalId) {
+            try {
+                approval = await this.approvalGate.get(options.approvalId);
+            } catch (error) {
+                return { success: false, feedbackId, stage: 'approval', error: error.message, duration: Date.now() - startTime };
+            }
+            if (approval.status === 'pending') {
+                return { success: false, feedbackId, stage: 'approval', error: `审核尚未处理: ${approval.id}`, duration: Date.now() - startTime };
+            }
+        }
+        
         // 步骤1：分析反馈
         console.log(`[智能体] 步骤1: 分析反馈...`);
-        const analysisResult = await this.analyzer.analyze(feedback);
+        const analysisResult = approval ? approval.analysisResult
+            : options.analysisResult?.success ? options.analysisResult : await this.analyzer.analyze(feedback);
         console.log('[智能体] 分析完成，结果:', JSON.stringify(analysisResult).substring(0, 200));
         
         if (!analysisResult.success) {
@@ -740,59 +1069,202 @@ class Agent {
             analysisResult.structuredResult = { intent: 'other', summary: feedback.content };
         }
         
-        let solutionResult;
-        try {
-            solutionResult = await this.solutionGenerator.generate({ feedbackId, ...analysisResult.structuredResult });
-            console.log('[智能体] 方案生成结果:', solutionResult);
-        } catch (err) {
-            console.error('[智能体] 方案生成异常:', err.message);
-            console.error('[智能体] 异常堆栈:', err.stack);
-            return { success: false, feedbackId, stage: 'solution', error: err.message, duration: Date.now() - startTime };
-        }
+        // 方案无法应用或测试未通过时撤销本次修改，带着应用错误或失败的测试与评估重新生成方案，最多尝试 MAX_RETRIES 次
+        // 配置了审核检查点时在生成方案后或测试通过后暂停，审核处理后从检查点恢复，沿用同一任务日志
+        let taskId;
+        let previousAttempts = [];
+        let attempt = 1;
+        let solutionResult, modification, testResult;
+        // 恢复位置：apply 从应用修改继续，publish 直接推送发布
+        let resumeAt = null;
+        // 审核者在测试后编辑了补丁：重新测试通过后不再暂停
+        let skipTestApproval = false;
         
-        if (!solutionResult.success) {
-            console.log('[智能体] 方案生成失败，返回错误:', solutionResult.reason);
-            return { success: false, feedbackId, stage: 'solution', error: solutionResult.reason || '方案生成失败', duration: Date.now() - startTime };
+        if (approval) {
+            ({ taskId, attempt } = approval);
+            previousAttempts = [...(approval.previousAttempts || [])];
+            const edited = approval.editedSolution || null;
+            await database.addTaskStage(taskId, { name: `review_${attempt}`, status: approval.status === 'approved' ? 'completed' : 'failed', endTime: new Date().toISOString(), data: { approvalId: approval.id, checkpoint: approval.checkpoint, decision: approval.status, comment: approval.comment || null, edited: Boolean(edited) } });
+            await database.updateTaskLog(taskId, { status: 'running' });
+            
+            // 测试后驳回或编辑：撤销已提交的工作分支
+            if (approval.checkpoint === 'test' && (approval.status === 'rejected' || edited)) {
+                this.codeModifier.revertAttempt(approval.modification.branch);
+            }
+            
+            if (approval.status === 'rejected') {
+                // 被驳回的方案与审核意见一起反馈给方案生成
+                previousAttempts.push({ attempt, stage: 'review', checkpoint: approval.checkpoint, solution: approval.solution, testsRun: approval.test?.testsRun || 0, testsPassed: approval.test?.testsPassed || 0, failedTests: [], evaluation: null, reviewComment: approval.comment });
+                attempt++;
+            } else if (approval.checkpoint === 'test' && !edited) {
+                resumeAt = 'publish';
+                solutionResult = { success: true, taskId: approval.solutionTaskId, solution: approval.solution };
+                modification = approval.modification;
+                testResult = approval.testResult;
+            } else {
+                resumeAt = 'apply';
+                solutionResult = { success: true, taskId: approval.solutionTaskId, solution: edited || approval.solution };
+                if (approval.checkpoint === 'test') {
+                    skipTestApproval = true;
+                    attempt++;
+                }
+            }
+        } else {
+            taskId = generateId('agent');
+            await database.createTaskLog({ taskId, feedbackId, status: 'running', stages: [] });
         }
+        circuitBreaker.resetRetries(feedbackId, previousAttempts.filter(a => a.stage === 'test' || a.stage === 'modification').length);
         
-        console.log('[智能体] 方案生成成功，准备进入步骤3');
-        
-        // 步骤3：应用代码修改
-        console.log(`[智能体] 步骤3: 应用代码修改...`);
-        console.log('[智能体] 解决方案:', solutionResult.solution);
-        
-        const modification = await this.codeModifier.applyChanges({ feedbackId, solution: solutionResult.solution });
-        console.log('[智能体] 代码修改结果:', modification);
-        
-        if (!modification.success) {
-            return { success: false, feedbackId, stage: 'modification', error: modification.reason, duration: Date.now() - startTime };
-        }
+        const fail = async (stage, error, extra = {}) => {
+            await database.updateTaskLog(taskId, { status: 'failed', error });
+            circuitBreaker.resetRetries(feedbackId);
+            return { success: false, feedbackId, stage, error, attempts: attempt, ...extra, duration: Date.now() - startTime };
+        };
         
-        // 步骤4：运行测试
-        console.log(`[智能体] 步骤4: 运行测试...`);
-        const testResult = await this.testService.runTests({ feedbackId, ...modification });
+        // 保存流程状态并暂停，等待审核
+        const pause = async (checkpoint, { diff, files, test = null }) => {
+            const pending = await this.approvalGate.request({
+                feedbackId,
+                taskId,
+                checkpoint,
+                attempt,
+                feedback: { ...feedback },
+                analysisResult,
+                previousAttempts,
+                solutionTaskId: solutionResult.taskId,
+                solution: solutionResult.solution,
+                diff,
+                files: files.map(({ file, action, linesAdded, linesRemoved }) => ({ file, action, linesAdded, linesRemoved })),
+                modification: checkpoint === 'test' ? modification : null,
+                test,
+                testResult: checkpoint === 'test' ? testResult : null
+            });
+            await database.addTaskStage(taskId, { name: `approval_${attempt}`, status: 'awaiting_approval', endTime: new Date().toISOString(), data: { approvalId: pending.id, checkpoint } });
+            await database.updateTaskLog(taskId, { status: 'awaiting_approval', approvalId: pending.id });
+            await database.updateFeedback(feedbackId, { status: 'awaiting_approval', approvalId: pending.id });
+            circuitBreaker.resetRetries(feedbackId);
+            return { success: true, feedbackId, stage: 'awaiting_approval', awaitingApproval: true, checkpoint, approvalId: pending.id, attempts: attempt, duration: Date.now() - startTime };
+        };
         
-        if (!testResult.passed) {
-            if (testResult.canRetry) {
-                console.log(`[智能体] 测试失败，尝试重新生成方案...`);
-                return { success: false, feedbackId, stage: 'test', canRetry: true, error: testResult.reason, retryCount: circuitBreaker.getRetryCount(feedbackId), duration: Date.now() - startTime };
+        for (; resumeAt !== 'publish'; attempt++) {
+            const attemptStart = new Date().toISOString();
+            const recordAttempt = (status, data) => database.addTaskStage(taskId, { name: `attempt_${attempt}`, status, startTime: attemptStart, endTime: new Date().toISOString(), data: { attempt, ...data } });
+            
+            if (resumeAt === 'apply') {
+                // 审核通过的方案（可能经过编辑）直接应用
+                resumeAt = null;
             } else {
-                await database.updateFeedback(feedbackId, { status: 'needs_human', error: '测试失败，已达最大重试次数' });
-                return { success: false, feedbackId, stage: 'test', needsHuman: true, error: testResult.reason, maxRetriesExceeded: true, duration: Date.now() - startTime };
+                console.log(`[智能体] 第${attempt}次尝试 步骤2: 生成改进方案...`);
+                try {
+                    // 先同步工作目录，保证检索到的代码与修改时一致
+                    this.codeModifier.ensureRepo();
+                    const codeIndex = CodeIndex.build(this.codeModifier.repoDir, { policy: this.codeModifier.policy });
+                    solutionResult = await this.solutionGenerator.generate({ feedbackId, ...analysisResult.structuredResult }, { codeIndex, feedbackContent: feedback.content, previousAttempts });
+                    console.log('[智能体] 方案生成结果:', solutionResult);
+                } catch (err) {
+                    console.error('[智能体] 方案生成异常:', err.message);
+                    console.error('[智能体] 异常堆栈:', err.stack);
+                    await recordAttempt('failed', { stage: 'solution', error: err.message });
+                    return fail('solution', err.message);
+                }
+                
+                if (!solutionResult.success) {
+                    const error = solutionResult.reason || solutionResult.error || '方案生成失败';
+                    console.log('[智能体] 方案生成失败，返回错误:', error);
+                    await recordAttempt('failed', { stage: 'solution', error });
+                    return fail('solution', error);
+                }
+                
+                // 生成方案后审核：无法应用的方案不暂停，由下面的 applyChanges 记录失败
+                if (this.approvalGate.requires('solution')) {
+                    const preview = await this.codeModifier.applyChanges({ feedbackId, solution: solutionResult.solution }, { dryRun: true });
+                    if (preview.success) {
+                        return pause('solution', { diff: preview.diff, files: preview.files });
+                    }
+                }
+            }
+            
+            // 步骤3：应用代码修改
+            console.log(`[智能体] 步骤3: 应用代码修改...`);
+            console.log('[智能体] 解决方案:', solutionResult.solution);
+            
+            modification = await this.codeModifier.applyChanges({ feedbackId, solution: solutionResult.solution });
+            console.log('[智能体] 代码修改结果:', modification);
+            
+            if (!modification.success) {
+                const error = modification.reason || modification.error;
+                await recordAttempt('failed', { stage: 'modification', solutionTaskId: solutionResult.taskId, solution: solutionResult.solution, error });
+                if (!modification.retryable) return fail('modification', error);
+                
+                // 方案无法应用时与测试失败一样带着错误重新生成方案，计入重试次数
+                if (!circuitBreaker.incrementRetry(feedbackId)) {
+                    await database.updateFeedback(feedbackId, { status: 'needs_human', error: '修改无法应用，已达最大重试次数' });
+                    return fail('modification', error, { needsHuman: true, maxRetriesExceeded: true });
+                }
+                console.log(`[智能体] 第${attempt}次尝试修改无法应用，重新生成方案: ${error}`);
+                previousAttempts.push({ attempt, stage: 'modification', solutionTaskId: solutionResult.taskId, solution: solutionResult.solution, error });
+                skipTestApproval = false;
+                continue;
+            }
+            
+            // 步骤4：运行测试
+            console.log(`[智能体] 步骤4: 运行测试...`);
+            testResult = await this.testService.runTests({ feedbackId, solution: solutionResult.solution, ...modification });
+            
+            const summary = {
+                stage: 'test',
+                solutionTaskId: solutionResult.taskId,
+                solution: solutionResult.solution,
+                branch: modification.branch,
+                commit: modification.commit,
+                testsRun: testResult.testResult?.testsRun || 0,
+                testsPassed: testResult.testResult?.testsPassed || 0,
+                failedTests: (testResult.testResult?.details || []).filter(t => t.status === 'failed'),
+                evaluation: testResult.evaluation || null
+            };
+            
+            if (testResult.passed) {
+                await recordAttempt('completed', summary);
+                // 测试通过后审核，通过后才推送
+                if (this.approvalGate.requires('test') && !skipTestApproval) {
+                    const { testsRun, testsPassed, evaluation } = summary;
+                    return pause('test', { diff: modification.diff, files: modification.changes.files, test: { testsRun, testsPassed, evaluation } });
+                }
+                break;
+            }
+            
+            await recordAttempt('failed', { ...summary, error: testResult.reason || testResult.error });
+            
+            if (!testResult.canRetry) {
+                // 保留最后一次尝试的本地分支，供人工排查
+                await database.updateFeedback(feedbackId, { status: 'needs_human', error: testResult.canRetry === false ? '测试失败，已达最大重试次数' : testResult.error });
+                return fail('test', testResult.reason || testResult.error, { needsHuman: true, maxRetriesExceeded: testResult.canRetry === false });
             }
+            
+            console.log(`[智能体] 第${attempt}次尝试测试失败，撤销修改并重新生成方案...`);
+            this.codeModifier.revertAttempt(modification.branch);
+            previousAttempts.push({ attempt, ...summary });
+            skipTestApproval = false;
+        }
+        
+        // 测试通过后才推送工作分支
+        if (modification.commit) {
+            Object.assign(modification, this.codeModifier.pushBranch(modification.branch));
         }
         
         // 步骤5：发布
         console.log(`[智能体] 步骤5: 发布...`);
-        const publishResult = await this.publishService.publish({ feedbackId, solution: solutionResult.solution, modification }, feedback);
+        const publishResult = await this.publishService.publish({ feedbackId, solution: solutionResult.solution, modification, test: testResult.testResult }, feedback);
         
         await database.updateFeedback(feedbackId, { status: publishResult.success ? 'completed' : 'failed', completedAt: new Date().toISOString(), result: publishResult });
+        await database.updateTaskLog(taskId, { status: publishResult.success ? 'completed' : 'failed', attempts: attempt, result: { branch: modification.branch, pr: publishResult.pr } });
+        circuitBreaker.resetRetries(feedbackId);
         
         const duration = Date.now() - startTime;
         console.log(`[智能体] 处理完成: ${feedbackId}, 耗时: ${duration}ms`);
         
-        return { success: publishResult.success, feedbackId, stage: publishResult.success ? 'completed' : 'publish', duration, result: { analysis: analysisResult.analysis, solution: solutionResult.solution, modification, test: testResult.testResult, publish: publishResult } };
+        return { success: publishResult.success, feedbackId, stage: publishResult.success ? 'completed' : 'publish', ...(publishResult.success ? {} : { error: publishResult.error || publishResult.reason }), attempts: attempt, duration, result: { analysis: analysisResult.analysis, solution: solutionResult.solution, modification, test: testResult.testResult, publish: publishResult } };
     }
 }
 
-module.exports = { Agent, FeedbackAnalyzer, SolutionGenerator, CodeModifier, TestService, PublishService, callLLM, generateId };
+module.exports = { Agent, FeedbackAnalyzer, SolutionGenerator, CodeModifier, TestService, PublishService, callLLM, callStructuredLLM, generateId };
@@ -11,10 +11,31 @@
  * - 发布决策服务：生成改进说明、创建PR
  */
 
+// 最先加载配置（.env），后续模块初始化时依赖环境变量
+const config = require('./config');
+try {
+    config.assertStartupConfig();
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
+const crypto = require('crypto');
+const translator = require('./translator');
+const glossary = require('./glossary');
+const llm = require('./llm-providers');
+const translationQuality = require('./translation-quality');
+
+// 启动时创建LLM提供方：LLM_PROVIDER 无效时拒绝启动，避免在请求处理中抛出异常
+try {
+    llm.getProvider();
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
 
 const app = express();
 
@@ -42,9 +63,6 @@ function removeClient(clientId) {
 const PORT = process.env.PORT || 3001;
 const isProduction = process.env.NODE_ENV === 'production';
 
-// DeepSeek API Key（支持环境变量或使用默认值）
-const DEFAULT_API_KEY = 'sk-8cfff84f68554e8e807a3274c91737c2';
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY || DEFAULT_API_KEY;
 
 // 引入模块
 let debugSystem, healthChecker, smartDiagnoser;
@@ -67,6 +85,8 @@ try {
 try {
     const cbModule = require('./circuit-breaker');
     circuitBreaker = cbModule.circuitBreaker;
+    // 恢复上次运行的用量窗口、熔断状态与重试计数（DB_MODE=file 时重启后保留）
+    circuitBreaker.restore().catch(e => console.error('熔断器状态恢复失败:', e.message));
     console.log('✅ 熔断管理器已加载');
 } catch(e) {
     console.warn('熔断管理器加载失败:', e.message);
@@ -86,10 +106,128 @@ try {
         updateFeedback: async () => null,
         getTaskLogs: async () => ({ list: [], total: 0 }),
         getTokenUsage: async () => ({ list: [], total: 0, stats: {} }),
-        getCircuitBreakerEvents: async () => ({ list: [], total: 0, unresolvedCount: 0 })
+        getCircuitBreakerEvents: async () => ({ list: [], total: 0, unresolvedCount: 0 }),
+        getGlossaryTerms: async () => []
     };
 }
 
+// 引入任务队列：反馈处理任务持久化，重启后恢复
+let jobQueue = null;
+let PRIORITY_RANK = {};
+if (agent) {
+    try {
+        const jobQueueModule = require('./job-queue');
+        PRIORITY_RANK = jobQueueModule.PRIORITY_RANK;
+        jobQueue = jobQueueModule.JobQueue.fromEnv(async (job) => {
+            // approvalId：审核处理后从检查点恢复
+            const { feedback, approvalId } = job.payload;
+            let { analysisResult } = job.payload;
+            
+            // 入队后的分诊尚未结束时等待其结果，避免重复分析
+            if (pendingTriage.has(job.id)) {
+                analysisResult = (await pendingTriage.get(job.id)) || analysisResult;
+            }
+            
+            // 分诊失败或服务重启后丢失时在任务中分析，结果与优先级写回任务，重试时沿用；分析失败按退避重试
+            if (!analysisResult?.success && !approvalId) {
+                analysisResult = await agent.analyzer.analyze({ ...feedback });
+                if (!analysisResult.success) {
+                    throw new Error(`反馈分析失败: ${analysisResult.error || analysisResult.reason}`);
+                }
+                const priority = analysisResult.analysis?.priority;
+                await database.updateJob(job.id, { payload: { ...job.payload, analysisResult }, ...(PRIORITY_RANK[priority] !== undefined ? { priority } : {}) });
+            }
+            
+            const result = await agent.process({ ...feedback }, { analysisResult, approvalId });
+            console.log(`[智能体] 处理完成: ${feedback.id}`, result);
+            
+            // 转人工视为处理完成；其余失败交由队列退避重试
+            if (!result.success && !result.needsHuman) {
+                const error = new Error(result.error || `智能体处理失败（${result.stage}）`);
+                // 缺少配置或审核记录无效时重试无意义
+                error.retryable = result.stage !== 'config' && result.stage !== 'approval';
+                throw error;
+            }
+            return { success: result.success, stage: result.stage, needsHuman: Boolean(result.needsHuman), approvalId: result.approvalId || null, attempts: result.attempts, analysis: analysisResult?.analysis || null, pr: result.result?.publish?.pr || null, duration: result.duration };
+        });
+        jobQueue.on('job_dead', async (job) => {
+            await database.updateFeedback(job.feedbackId, { status: 'failed', error: job.error });
+        });
+        jobQueue.start().catch(e => console.error('任务队列启动失败:', e.message));
+        console.log('✅ 任务队列已加载');
+    } catch(e) {
+        console.warn('任务队列加载失败:', e.message);
+        jobQueue = null;
+    }
+}
+
+// 入队后的后台分析（分诊）：jobId -> 分析结果的 Promise
+const pendingTriage = new Map();
+
+// 分诊：入队后立即在队列之外分析，按 FeedbackAnalyzer 的 priority 在任务被领取前重新排序
+// 结果与优先级写回任务（分析期间任务已被领取时优先级在重试时生效）；失败时不影响任务，由处理函数在任务中重新分析
+function triageJob(job) {
+    const triage = (async () => {
+        const analysisResult = await agent.analyzer.analyze({ ...job.payload.feedback });
+        if (!analysisResult.success) return null;
+        
+        const current = await jobQueue.getJob(job.id);
+        const priority = analysisResult.analysis?.priority;
+        await database.updateJob(job.id, { payload: { ...current.payload, analysisResult }, ...(PRIORITY_RANK[priority] !== undefined ? { priority } : {}) });
+        return analysisResult;
+    })().catch(error => {
+        console.error(`[任务队列] 分诊失败: ${job.id}`, error.message);
+        return null;
+    }).finally(() => pendingTriage.delete(job.id));
+    
+    pendingTriage.set(job.id, triage);
+    return triage;
+}
+
+// 先放入持久化队列再分析：LLM故障或服务重启不会丢失请求
+// 分诊得到的优先级在任务被领取前生效；队列不可用时直接异步处理
+async function enqueueFeedback(feedback) {
+    if (!jobQueue) {
+        agent.process({ ...feedback }).then(result => {
+            console.log(`[智能体] 处理完成: ${feedback.id}`, result);
+        }).catch(err => {
+            console.error(`[智能体] 处理失败: ${feedback.id}`, err);
+        });
+        return null;
+    }
+    
+    const job = await jobQueue.enqueue({ feedback: { ...feedback } }, { feedbackId: feedback.id });
+    triageJob(job);
+    return job;
+}
+
+// 审核处理后从检查点恢复流程，沿用暂停时的分析结果与优先级
+async function resumeApproval(approval) {
+    if (!jobQueue) {
+        agent.process({ ...approval.feedback }, { approvalId: approval.id }).then(result => {
+            console.log(`[智能体] 审核后处理完成: ${approval.feedbackId}`, result);
+        }).catch(err => {
+            console.error(`[智能体] 审核后处理失败: ${approval.feedbackId}`, err);
+        });
+        return null;
+    }
+    
+    return jobQueue.enqueue(
+        { feedback: { ...approval.feedback }, analysisResult: approval.analysisResult, approvalId: approval.id },
+        { feedbackId: approval.feedbackId, priority: approval.analysisResult?.analysis?.priority }
+    );
+}
+
+// 引入翻译记忆
+let translationMemory;
+try {
+    translationMemory = require('./translation-memory').translationMemory;
+    console.log('✅ 翻译记忆已加载');
+} catch(e) {
+    console.warn('翻译记忆加载失败:', e.message);
+    translationMemory = null;
+}
+
 try {
     const debugModule = require('./debug-system');
     debugSystem = new debugModule.DebugSystem();
@@ -122,6 +260,9 @@ try {
 
 // 中间件
 app.use(cors());
+// 批量/流式翻译请求体较大，需先于全局解析器注册
+app.use('/api/translate/batch', express.json({ limit: '200kb' }));
+app.use('/api/translate/stream', express.json({ limit: '200kb' }));
 app.use(express.json({ limit: '10kb' }));
 
 // 静态文件
@@ -335,33 +476,24 @@ async function generateCodeSuggestion(feedbackContent, intent) {
 
     const template = suggestionTemplates[intent] || suggestionTemplates['other'];
 
-    // 如果有 API Key，调用 AI 生成更精准的建议
-    if (DEEPSEEK_API_KEY) {
+    // 如果配置了真实的LLM提供方，调用 AI 生成更精准的建议
+    if (!llm.getProvider().isMock) {
         try {
-            const response = await axios.post(
-                'https://api.deepseek.com/v1/chat/completions',
-                {
-                    model: 'deepseek-chat',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `你是代码助手。根据用户反馈生成代码改进建议。回复格式为JSON：{"file":"文件名","action":"操作描述","codeDiff":"+行数 -行数","description":"描述"}`
-                        },
-                        {
-                            role: 'user',
-                            content: `用户反馈: ${feedbackContent}\n问题类型: ${intent}\n请生成代码改进建议:`
-                        }
-                    ],
-                    temperature: 0.5,
-                    max_tokens: 200
-                },
-                {
-                    headers: { 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` },
-                    timeout: 30000
-                }
-            );
+            const { content } = await llm.getProvider().chat({
+                messages: [
+                    {
+                        role: 'system',
+                        content: `你是代码助手。根据用户反馈生成代码改进建议。回复格式为JSON：{"file":"文件名","action":"操作描述","codeDiff":"+行数 -行数","description":"描述"}`
+                    },
+                    {
+                        role: 'user',
+                        content: `用户反馈: ${feedbackContent}\n问题类型: ${intent}\n请生成代码改进建议:`
+                    }
+                ],
+                temperature: 0.5,
+                maxTokens: 200
+            });
 
-            const content = response.data.choices?.[0]?.message?.content || '';
             const jsonMatch = content.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
                 try {
@@ -379,8 +511,8 @@ async function generateCodeSuggestion(feedbackContent, intent) {
 
 // AI 回应函数
 async function generateAIResponse(feedbackContent) {
-    // 如果没有配置 API Key，返回默认回应
-    if (!DEEPSEEK_API_KEY) {
+    // 模拟提供方下返回默认回应
+    if (llm.getProvider().isMock) {
         return {
             responded: false,
             response: '感谢您的反馈！我们已收到您的意见。',
@@ -389,30 +521,21 @@ async function generateAIResponse(feedbackContent) {
     }
 
     try {
-        const response = await axios.post(
-            'https://api.deepseek.com/v1/chat/completions',
-            {
-                model: 'deepseek-chat',
-                messages: [
-                    { 
-                        role: 'system', 
-                        content: '你是翻译插件的智能助手，负责回应用户的反馈。请用友好、专业的语气回复，字数控制在100字以内。回复格式为JSON：{"response":"你的回复内容"}' 
-                    },
-                    { 
-                        role: 'user', 
-                        content: `用户反馈: ${feedbackContent}\n\n请生成回应:` 
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 200
-            },
-            {
-                headers: { 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` },
-                timeout: 15000
-            }
-        );
+        const { content } = await llm.getProvider().chat({
+            messages: [
+                { 
+                    role: 'system', 
+                    content: '你是翻译插件的智能助手，负责回应用户的反馈。请用友好、专业的语气回复，字数控制在100字以内。回复格式为JSON：{"response":"你的回复内容"}' 
+                },
+                { 
+                    role: 'user', 
+                    content: `用户反馈: ${feedbackContent}\n\n请生成回应:` 
+                }
+            ],
+            temperature: 0.7,
+            maxTokens: 200
+        });
 
-        const content = response.data.choices?.[0]?.message?.content || '';
         
         // 尝试解析JSON
         try {
@@ -446,6 +569,30 @@ async function generateAIResponse(feedbackContent) {
 
 // ==================== API 路由 ====================
 
+// 管理接口鉴权：Authorization: Bearer <key> 或 X-Admin-Key 请求头，密钥来自 ADMIN_API_KEYS（逗号分隔）
+// 未配置密钥时管理接口不可用
+const ADMIN_API_KEYS = config.readSecret(process.env, 'ADMIN_API_KEYS').split(',').map(k => k.trim()).filter(Boolean);
+
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function requireAdmin(req, res, next) {
+    if (ADMIN_API_KEYS.length === 0) {
+        return res.status(503).json({ success: false, error: '未配置 ADMIN_API_KEYS，管理接口不可用' });
+    }
+    const authorization = req.get('authorization') || '';
+    const provided = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : (req.get('x-admin-key') || '');
+    const index = provided ? ADMIN_API_KEYS.findIndex(key => safeEqual(key, provided)) : -1;
+    if (index === -1) {
+        return res.status(401).json({ success: false, error: '管理接口鉴权失败' });
+    }
+    // 审计日志中以密钥序号标识操作者，不记录密钥本身
+    req.adminId = `admin_${index + 1}`;
+    next();
+}
+
 // 健康检查
 app.get('/api/health', async (req, res) => {
     const health = healthChecker?.runAllChecks?.() || {};
@@ -501,45 +648,448 @@ app.post('/api/feedback', async (req, res) => {
     res.json({ success: true, data: feedback });
 });
 
+// 调用翻译模型，返回原始文本内容
+// timeout 省略时使用提供方的默认超时（LLM_TIMEOUT_MS）
+async function callTranslationModel(messages, options = {}) {
+    const { maxTokens, timeout, signal } = options;
+    const { content } = await llm.getProvider().chat({
+        messages,
+        temperature: 0.3,
+        maxTokens,
+        timeout,
+        signal
+    });
+    return content;
+}
+
+// 流式调用翻译模型，逐个推送增量内容，返回完整文本
+// 长文本输出时间较长，默认超时120秒
+async function streamTranslationModel(messages, options = {}) {
+    const { signal, onToken, timeout = 120000 } = options;
+    const { content } = await llm.getProvider().chatStream({
+        messages,
+        temperature: 0.3,
+        signal,
+        onToken,
+        timeout
+    });
+    return content;
+}
+
+// 质量评估的回译与评审调用经 callLLM：熔断检查、按 maxTokens 预占并按实际用量结算，计入每日 token 与费用预算
+// 熔断器不可用时直接调用
+const QUALITY_MAX_TOKENS = 1000;
+
+async function callQualityModel(messages) {
+    if (!circuitBreaker) return callTranslationModel(messages, { maxTokens: QUALITY_MAX_TOKENS });
+    const { callLLM } = require('./agent-services');
+    const { content } = await callLLM(messages, { temperature: 0.3, maxTokens: QUALITY_MAX_TOKENS, apiCallType: 'translation_quality' });
+    return content;
+}
+
+// 原文匹配的术语：自动检测源语言时按字符集预判的语言匹配
+// terms 为目标语言下的全部术语，批量翻译时只查询一次
+function matchGlossaryTerms(text, languages, terms) {
+    const source = languages.source === translator.AUTO_DETECT ? translator.detectLanguage(text) : languages.source;
+    return glossary.findMatchingTerms(text, terms.filter(t => t.source === source));
+}
+
 // 翻译 API
+// quality 可选 backtranslate / judge / full（true 等同 full），返回质量评分与问题片段
 app.post('/api/translate', async (req, res) => {
-    const { text, source, target } = req.body;
+    const { text, source, target, quality } = req.body;
     if (!text?.trim()) return res.status(400).json({ error: '翻译文本不能为空' });
     if (text.length > 500) return res.status(400).json({ error: '文本长度不能超过500字符' });
     
-    // 如果没有 API Key，返回模拟翻译
-    if (!DEEPSEEK_API_KEY) {
+    const languages = translator.resolveLanguagePair(source, target);
+    if (!languages.valid) {
+        return res.status(400).json({ error: languages.error, supported: languages.supported });
+    }
+    
+    const qualityMode = translationQuality.resolveQualityMode(quality);
+    if (qualityMode === undefined) {
+        return res.status(400).json({ error: `quality 必须为: ${translationQuality.QUALITY_MODES.join(', ')}` });
+    }
+    
+    const provider = llm.getProvider();
+    
+    // 模拟提供方下返回模拟翻译
+    if (provider.isMock) {
         return res.json({
             success: true,
-            data: { translation: `[模拟翻译] ${text}`, mock: true }
+            data: {
+                translation: `[模拟翻译] ${text}`,
+                source: languages.source,
+                detectedSource: languages.source === translator.AUTO_DETECT ? translator.detectLanguage(text) : languages.source,
+                target: languages.target,
+                mock: true
+            }
         });
     }
     
+    const matchedTerms = matchGlossaryTerms(text, languages, await database.getGlossaryTerms({ target: languages.target }));
+    
+    const memoryKey = {
+        text,
+        source: languages.source,
+        target: languages.target,
+        model: provider.model,
+        glossary: glossary.fingerprint(matchedTerms)
+    };
+    const cached = translationMemory ? await translationMemory.lookup(memoryKey) : null;
+    
+    let result;
+    if (cached) {
+        result = { translation: cached.translation, detectedSource: cached.detectedSource, cached: true };
+    } else {
+        try {
+            const messages = translator.buildTranslationMessages(text, languages, glossary.buildGlossaryInstructions(matchedTerms));
+            const content = await callTranslationModel(messages);
+            const parsed = translator.parseTranslationResponse(content, { source: languages.source, text });
+            const { translation, violations } = glossary.checkTranslation(parsed.translation, matchedTerms);
+            
+            // 仍有未修复的术语违规时不写入翻译记忆
+            const compliant = violations.every(v => v.repaired);
+            if (translation && compliant && translationMemory) {
+                await translationMemory.store(memoryKey, { translation, detectedSource: parsed.detectedSource });
+            }
+            
+            result = {
+                translation,
+                detectedSource: parsed.detectedSource,
+                cached: false,
+                glossary: {
+                    applied: matchedTerms.map(t => t.id),
+                    violations
+                }
+            };
+        } catch (error) {
+            return res.json({
+                success: true,
+                data: {
+                    translation: `[错误] ${text}`,
+                    source: languages.source,
+                    target: languages.target,
+                    mock: true,
+                    error: error.message
+                }
+            });
+        }
+    }
+    
+    // 质量评估：低分翻译记录为合成反馈，供智能体处理
+    let qualityReport = null;
+    if (qualityMode && result.translation) {
+        try {
+            qualityReport = await translationQuality.evaluateTranslation({
+                text,
+                translation: result.translation,
+                detectedSource: result.detectedSource,
+                target: languages.target,
+                mode: qualityMode
+            }, callQualityModel);
+            
+            qualityReport.threshold = translationQuality.DEFAULT_THRESHOLD;
+            if (qualityReport.score !== null && qualityReport.score < translationQuality.DEFAULT_THRESHOLD) {
+                const feedback = await database.createFeedback(translationQuality.buildQualityFeedback({
+                    id: generateId(),
+                    text,
+                    translation: result.translation,
+                    detectedSource: result.detectedSource,
+                    target: languages.target,
+                    quality: qualityReport
+                }));
+                qualityReport.feedbackId = feedback.id;
+            }
+        } catch (error) {
+            qualityReport = { mode: qualityMode, score: null, flaggedSpans: [], error: error.message };
+        }
+    }
+    
+    res.json({
+        success: true,
+        data: {
+            translation: result.translation || '翻译失败',
+            source: languages.source,
+            detectedSource: result.detectedSource,
+            target: languages.target,
+            mock: false,
+            cached: result.cached,
+            ...(result.glossary ? { glossary: result.glossary } : {}),
+            ...(qualityMode ? { quality: qualityReport } : {})
+        }
+    });
+});
+
+// 流式翻译 API（SSE）：逐步推送译文，支持长文本，客户端断开时取消上游请求
+app.post('/api/translate/stream', async (req, res) => {
+    const { text, source, target } = req.body;
+    if (!text?.trim()) return res.status(400).json({ error: '翻译文本不能为空' });
+    if (text.length > translator.STREAM_MAX_LENGTH) {
+        return res.status(400).json({ error: `文本长度不能超过${translator.STREAM_MAX_LENGTH}字符` });
+    }
+    
+    const languages = translator.resolveLanguagePair(source, target);
+    if (!languages.valid) {
+        return res.status(400).json({ error: languages.error, supported: languages.supported });
+    }
+    
+    const provider = llm.getProvider();
+    
+    const clientId = generateId('tr');
+    const controller = new AbortController();
+    
+    // 设置 SSE 响应头
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    
+    sseClients.set(clientId, { res });
+    sendToClient(clientId, 'connected', { clientId, status: 'connected' });
+    
+    // 响应未正常结束就关闭，说明客户端已断开
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+            console.log(`[流式翻译] 客户端断开，已取消: ${clientId}`);
+        }
+        sseClients.delete(clientId);
+    });
+    
+    const detectedSource = languages.source === translator.AUTO_DETECT ? translator.detectLanguage(text) : languages.source;
+    
     try {
-        const response = await axios.post(
-            'https://api.deepseek.com/v1/chat/completions',
-            {
-                model: 'deepseek-chat',
-                messages: [
-                    { role: 'system', content: '你是一个翻译助手，只返回翻译结果。' },
-                    { role: 'user', content: `翻译: ${text}` }
-                ],
-                temperature: 0.3
-            },
-            {
-                headers: { 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` },
-                timeout: 30000
+        const matchedTerms = provider.isMock ? [] : matchGlossaryTerms(text, languages, await database.getGlossaryTerms({ target: languages.target }));
+        const memoryKey = { text, source: languages.source, target: languages.target, model: provider.model, glossary: glossary.fingerprint(matchedTerms) };
+        const cached = !provider.isMock && translationMemory ? await translationMemory.lookup(memoryKey) : null;
+        
+        let translation;
+        let glossaryResult = null;
+        if (provider.isMock) {
+            translation = `[模拟翻译] ${text}`;
+            sendToClient(clientId, 'token', { delta: translation });
+        } else if (cached) {
+            translation = cached.translation;
+            sendToClient(clientId, 'token', { delta: translation });
+        } else {
+            const streamed = await streamTranslationModel(translator.buildStreamingMessages(text, languages, glossary.buildGlossaryInstructions(matchedTerms)), {
+                signal: controller.signal,
+                onToken: (delta) => sendToClient(clientId, 'token', { delta })
+            });
+            // 增量已推送，术语修复体现在 complete 事件的最终译文中
+            const checked = glossary.checkTranslation(streamed, matchedTerms);
+            translation = checked.translation;
+            glossaryResult = { applied: matchedTerms.map(t => t.id), violations: checked.violations };
+            if (translation && checked.violations.every(v => v.repaired) && translationMemory) {
+                await translationMemory.store(memoryKey, { translation, detectedSource });
             }
-        );
+        }
         
-        const translation = response.data.choices?.[0]?.message?.content || '翻译失败';
-        res.json({ success: true, data: { translation, mock: false } });
-    } catch (error) {
-        res.json({
-            success: true,
-            data: { translation: `[错误] ${text}`, mock: true, error: error.message }
+        sendToClient(clientId, 'complete', {
+            translation,
+            source: languages.source,
+            detectedSource: cached ? cached.detectedSource : detectedSource,
+            target: languages.target,
+            mock: provider.isMock,
+            cached: !!cached,
+            ...(glossaryResult ? { glossary: glossaryResult } : {})
         });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        sendToClient(clientId, 'error', { message: error.message });
+    }
+    
+    removeClient(clientId);
+});
+
+// 批量翻译 API：多段文本按token预算打包为尽量少的LLM调用
+app.post('/api/translate/batch', async (req, res) => {
+    const { segments, source, target } = req.body;
+    if (!Array.isArray(segments) || segments.length === 0) {
+        return res.status(400).json({ error: 'segments 必须为非空数组' });
+    }
+    if (segments.length > translator.BATCH_LIMITS.MAX_SEGMENTS) {
+        return res.status(400).json({ error: `单次最多翻译${translator.BATCH_LIMITS.MAX_SEGMENTS}段` });
+    }
+    
+    const languages = translator.resolveLanguagePair(source, target);
+    if (!languages.valid) {
+        return res.status(400).json({ error: languages.error, supported: languages.supported });
+    }
+    
+    const provider = llm.getProvider();
+    
+    // 结果按id返回，id必须唯一
+    const ids = segments.map(segment => segment?.id);
+    if (ids.some(id => id === undefined || id === null || id === '')) {
+        return res.status(400).json({ error: '每个分段都需要id' });
+    }
+    if (new Set(ids.map(String)).size !== ids.length) {
+        return res.status(400).json({ error: '分段id不能重复' });
+    }
+    
+    // 单段校验失败只记录该段错误，不影响整批
+    const translations = {};
+    const errors = {};
+    const valid = [];
+    
+    segments.forEach(segment => {
+        const id = segment.id;
+        if (typeof segment.text !== 'string' || !segment.text.trim()) {
+            errors[id] = '翻译文本不能为空';
+            return;
+        }
+        if (segment.text.length > translator.BATCH_LIMITS.MAX_SEGMENT_LENGTH) {
+            errors[id] = `文本长度不能超过${translator.BATCH_LIMITS.MAX_SEGMENT_LENGTH}字符`;
+            return;
+        }
+        valid.push({ id, text: segment.text });
+    });
+    
+    // 每段匹配各自的术语，翻译记忆按术语表指纹区分
+    const terms = provider.isMock ? [] : await database.getGlossaryTerms({ target: languages.target });
+    valid.forEach(segment => {
+        segment.terms = matchGlossaryTerms(segment.text, languages, terms);
+        segment.memoryKey = { text: segment.text, source: languages.source, target: languages.target, model: provider.model, glossary: glossary.fingerprint(segment.terms) };
+    });
+    
+    // 先查翻译记忆，只把未命中的分段交给LLM
+    const pending = [];
+    let cachedCount = 0;
+    for (const segment of valid) {
+        const cached = !provider.isMock && translationMemory ? await translationMemory.lookup(segment.memoryKey) : null;
+        if (cached) {
+            translations[segment.id] = { translation: cached.translation, detectedSource: cached.detectedSource, cached: true };
+            cachedCount++;
+        } else {
+            pending.push(segment);
+        }
+    }
+    
+    const batches = translator.packSegments(pending);
+    let mock = false;
+    
+    for (const batch of batches) {
+        // 模拟提供方下返回模拟翻译
+        if (provider.isMock) {
+            mock = true;
+            batch.segments.forEach(segment => {
+                translations[segment.id] = {
+                    translation: `[模拟翻译] ${segment.text}`,
+                    detectedSource: languages.source === translator.AUTO_DETECT ? translator.detectLanguage(segment.text) : languages.source
+                };
+            });
+            continue;
+        }
+        
+        try {
+            // 同一批次的术语合并注入提示词，译文按各段自己的术语检查
+            const batchTerms = [...new Map(batch.segments.flatMap(s => s.terms).map(t => [t.id, t])).values()];
+            const content = await callTranslationModel(translator.buildBatchMessages(batch.segments, languages, glossary.buildGlossaryInstructions(batchTerms)), {
+                maxTokens: Math.min(batch.tokens * 3 + 200, 8000),
+                timeout: 60000
+            });
+            const parsed = translator.parseBatchResponse(content, batch.segments, languages);
+            Object.assign(errors, parsed.errors);
+            
+            for (const segment of batch.segments) {
+                const result = parsed.results[segment.id];
+                if (!result) continue;
+                const { translation, violations } = glossary.checkTranslation(result.translation, segment.terms);
+                translations[segment.id] = {
+                    ...result,
+                    translation,
+                    ...(segment.terms.length > 0 ? { glossary: { applied: segment.terms.map(t => t.id), violations } } : {})
+                };
+                
+                // 仍有未修复的术语违规时不写入翻译记忆
+                if (translationMemory && violations.every(v => v.repaired)) {
+                    await translationMemory.store(segment.memoryKey, { translation, detectedSource: result.detectedSource });
+                }
+            }
+        } catch (error) {
+            batch.segments.forEach(segment => {
+                errors[segment.id] = error.message;
+            });
+        }
+    }
+    
+    res.json({
+        success: true,
+        data: {
+            translations,
+            errors,
+            source: languages.source,
+            target: languages.target,
+            batches: batches.length,
+            cached: cachedCount,
+            mock
+        }
+    });
+});
+
+// 清除翻译记忆（可按语言对过滤，expiredOnly=true 只清除过期条目），需管理密钥
+app.delete('/api/translate/memory', requireAdmin, async (req, res) => {
+    if (!translationMemory) {
+        return res.status(503).json({ success: false, error: '翻译记忆未加载' });
+    }
+    
+    const { source, target, expiredOnly } = req.query;
+    const removed = await translationMemory.purge({
+        source: source ? translator.normalizeLanguage(source) : undefined,
+        target: target ? translator.normalizeLanguage(target) : undefined,
+        expiredOnly: expiredOnly === 'true'
+    });
+    
+    res.json({ success: true, data: { removed, stats: await translationMemory.getStats() } });
+});
+
+// ==================== 术语表 API ====================
+
+// 获取术语列表（可按语言对过滤）
+app.get('/api/glossary', async (req, res) => {
+    const { source, target } = req.query;
+    const list = await database.getGlossaryTerms({
+        source: source ? translator.normalizeLanguage(source) : undefined,
+        target: target ? translator.normalizeLanguage(target) : undefined
+    });
+    res.json({ success: true, data: { list, total: list.length } });
+});
+
+// 新增、修改与删除术语需管理员密钥
+app.post('/api/glossary', requireAdmin, async (req, res) => {
+    const { term, error } = glossary.validateTerm(req.body || {});
+    if (error) return res.status(400).json({ success: false, error });
+    
+    const item = await database.createGlossaryTerm(term);
+    res.json({ success: true, data: item });
+});
+
+// 更新术语
+app.put('/api/glossary/:id', requireAdmin, async (req, res) => {
+    const existing = await database.getGlossaryTermById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, error: '术语不存在' });
+    
+    const { term, error } = glossary.validateTerm(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+    
+    const merged = { ...existing, ...term };
+    if (merged.rule === glossary.RULES.MUST_TRANSLATE && !merged.translation) {
+        return res.status(400).json({ success: false, error: 'must_translate 规则需要指定译文' });
     }
+    
+    const item = await database.updateGlossaryTerm(req.params.id, term);
+    res.json({ success: true, data: item });
+});
+
+// 删除术语
+app.delete('/api/glossary/:id', requireAdmin, async (req, res) => {
+    const removed = await database.deleteGlossaryTerm(req.params.id);
+    if (!removed) return res.status(404).json({ success: false, error: '术语不存在' });
+    res.json({ success: true, data: { id: removed.id, deleted: true } });
 });
 
 // 智能体处理反馈（完整流程：分析 → 生成代码 → 测试 → 反馈）
@@ -570,11 +1120,7 @@ app.post('/api/agent/process', async (req, res) => {
     if (agent) {
         try {
             // 异步处理（完整流程）
-            agent.process(feedback).then(result => {
-                console.log(`[智能体] 处理完成: ${feedbackId}`, result);
-            }).catch(err => {
-                console.error(`[智能体] 处理失败: ${feedbackId}`, err);
-            });
+            const job = await enqueueFeedback(feedback);
             
             // 立即返回分析结果
             const intentResult = await analyzeIntent(content);
@@ -613,6 +1159,8 @@ app.post('/api/agent/process', async (req, res) => {
                         scheduled: autoTest,
                         status: autoTest ? 'running' : 'pending'
                     },
+                    // 新增：队列任务
+                    job: job ? { id: job.id, status: job.status, priority: job.priority } : null,
                     // 新增：熔断状态
                     circuitBreaker: circuitBreaker ? circuitBreaker.getStatus() : null
                 }
@@ -687,14 +1235,103 @@ app.post('/api/agent/process', async (req, res) => {
 });
 
 // ========== 流式处理 API ==========
+
+// 任务阶段（见 describeJob）对应的流式事件
+const JOB_STREAM_STAGES = {
+    analysis: { stage: 'analyzing', message: '正在分析反馈...' },
+    solution: { stage: 'generating', message: '正在生成改进方案...' },
+    modification: { stage: 'generating', message: '正在应用代码修改...' },
+    test: { stage: 'testing', message: '正在运行测试...' },
+    publish: { stage: 'publishing', message: '正在创建PR...' }
+};
+
+// 推送队列任务的进度，任务结束（完成、进入死信或取消）时 resolve 为最终的任务
+// 返回的 stop 用于客户端断开时停止推送，任务本身不受影响
+function watchJob(jobId, send) {
+    let stop;
+    const done = new Promise(resolve => {
+        let lastStage = null;
+        const handlers = {
+            job_started: job => send('stage', { stage: 'analyzing', jobId, attempt: job.attempts, message: `智能体开始处理（第${job.attempts}次）` }),
+            job_retry: job => send('stage', { stage: 'retrying', jobId, message: `处理失败，${new Date(job.runAt).toLocaleTimeString()} 重试: ${job.error}` }),
+            job_completed: job => finish(job),
+            job_dead: job => finish(job),
+            job_cancelled: job => finish(job)
+        };
+        const listeners = Object.entries(handlers).map(([event, handler]) => {
+            const listener = job => { if (job.id === jobId) handler(job); };
+            jobQueue.on(event, listener);
+            return [event, listener];
+        });
+        
+        // 运行中按任务日志推送当前阶段；任务已结束时直接完成
+        const poll = async () => {
+            const job = await jobQueue.getJob(jobId).catch(() => null);
+            if (!job) return;
+            if (['completed', 'dead', 'cancelled'].includes(job.status)) return finish(job);
+            if (job.status !== 'running') return;
+            const { stage } = await describeJob(job);
+            if (JOB_STREAM_STAGES[stage] && stage !== lastStage) {
+                lastStage = stage;
+                send('stage', { ...JOB_STREAM_STAGES[stage], jobId });
+            }
+        };
+        const timer = setInterval(poll, 1000);
+        timer.unref();
+        poll();
+        
+        function cleanup() {
+            clearInterval(timer);
+            listeners.forEach(([event, listener]) => jobQueue.off(event, listener));
+        }
+        function finish(job) {
+            cleanup();
+            resolve(job);
+        }
+        stop = () => finish(null);
+    });
+    return { done, stop };
+}
+
+// 按任务结果推送最终事件
+function sendJobResult(send, feedbackId, job) {
+    if (job.status === 'cancelled') {
+        return send('complete', { feedbackId, jobId: job.id, status: 'cancelled' });
+    }
+    if (job.status === 'dead') {
+        send('error', { message: job.error });
+        return send('complete', { feedbackId, jobId: job.id, status: 'failed', error: job.error });
+    }
+    
+    const result = job.result || {};
+    if (result.analysis) {
+        send('intent', { intent: result.analysis.intent || 'other', confidence: result.analysis.confidence || 0.5, message: result.analysis.summary || 'AI分析完成' });
+    }
+    if (result.needsHuman) {
+        send('stage', { stage: 'needs_human', message: '需要人工处理' });
+        return send('complete', { feedbackId, jobId: job.id, status: 'needs_human', result });
+    }
+    if (result.stage === 'awaiting_approval') {
+        send('stage', { stage: 'awaiting_approval', message: '等待人工审核' });
+        return send('complete', { feedbackId, jobId: job.id, status: 'awaiting_approval', approvalId: result.approvalId, result });
+    }
+    if (result.pr?.url) {
+        send('pr', { url: result.pr.url, title: result.pr.title || `#${result.pr.number}` });
+    }
+    send('complete', { feedbackId, jobId: job.id, status: 'completed', result });
+}
+
+// 反馈进入持久化队列，推送排队、处理阶段与最终结果
+// 客户端断开不影响任务，结果可通过 /api/agent/iteration/:feedbackId 查询
 app.post('/api/agent/process/stream', async (req, res) => {
-    const { content, userId, language, autoTest = true } = req.body;
+    const { content, userId, language } = req.body;
     if (!content?.trim()) {
         return res.status(400).json({ error: '内容不能为空' });
     }
 
     const feedbackId = generateId();
     const clientId = feedbackId;
+    const send = (event, data) => sendToClient(clientId, event, data);
 
     // 设置 SSE 响应头
     res.writeHead(200, {
@@ -706,14 +1343,13 @@ app.post('/api/agent/process/stream', async (req, res) => {
 
     // 注册客户端
     sseClients.set(clientId, { res, feedbackId });
-    
-    // 初始连接确认
-    res.write(`event: connected\n`);
-    res.write(`data: ${JSON.stringify({ clientId, status: 'connected' })}\n\n`);
+    send('connected', { clientId, status: 'connected' });
 
-    // 确保连接关闭时清理
-    req.on('close', () => {
-        removeClient(clientId);
+    let watcher = null;
+    // 响应未正常结束就关闭，说明客户端已断开
+    res.on('close', () => {
+        if (watcher) watcher.stop();
+        sseClients.delete(clientId);
     });
 
     const feedback = {
@@ -733,104 +1369,18 @@ app.post('/api/agent/process/stream', async (req, res) => {
         agentStats.todayProcessed++;
         agentStats.lastUpdate = new Date().toISOString();
 
-        // 调用完整的智能体流程
         if (agent) {
-            sendToClient(clientId, 'stage', { stage: 'analyzing', message: '正在分析反馈...' });
-            console.log('[流式] 开始调用智能体处理:', feedback.content);
-            console.log('[流式] agent对象:', agent);
-            console.log('[流式] agent.process:', typeof agent.process);
-            
-            // 启动完整智能体处理流程
-            // 添加超时保护
-            const processPromise = agent.process(feedback);
-            
-            // 添加超时处理 - 120秒超时（测试需要更长时间）
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('智能体处理超时（120秒）')), 120000);
-            });
-            
-            Promise.race([processPromise, timeoutPromise]).then(async (result) => {
-                console.log('[流式] 智能体处理结果:', JSON.stringify(result).substring(0, 500));
-                
-                // 确保发送分析结果
-                console.log('[流式] 准备发送intent事件...');
-                console.log('[流式] 智能体处理完成:', result);
-                console.log('[流式] 智能体处理完成:', result);
-                
-                if (result.needsHuman) {
-                    sendToClient(clientId, 'stage', { stage: 'needs_human', message: '需要人工处理' });
-                    sendToClient(clientId, 'complete', { feedbackId, status: 'needs_human', result });
-                    return;
-                }
-                
-                // 始终发送分析结果，即使后续步骤失败
-                sendToClient(clientId, 'intent', { 
-                    intent: result.result?.analysis?.intent || result.analysis?.intent || 'other',
-                    confidence: result.result?.analysis?.confidence || result.analysis?.confidence || 0.5,
-                    message: result.analysis?.summary || 'AI分析完成'
-                });
-                
-                if (result.success) {
-                    // 显示代码修改
-                    if (result.result?.modification || result.solution) {
-                        sendToClient(clientId, 'suggestion', {
-                            file: result.result?.modification?.file || result.solution?.file || 'src/main.js',
-                            action: result.result?.solution?.action || result.solution?.action || 'modify',
-                            description: result.result?.solution?.description || result.solution?.description || result.analysis?.summary || '代码已优化'
-                        });
-                    }
-                    
-                    // 显示测试结果
-                    if (result.result?.test) {
-                        sendToClient(clientId, 'test_result', { 
-                            passed: result.result.test.passed,
-                            message: result.result.test.passed ? '测试通过' : '测试失败'
-                        });
-                    }
-                    
-                    // 显示发布结果
-                    if (result.result?.publish) {
-                        sendToClient(clientId, 'pr', { 
-                            url: result.result.publish.pr?.url,
-                            title: result.result.publish.changelog?.title
-                        });
-                    }
-                    
-                    sendToClient(clientId, 'complete', { 
-                        feedbackId, 
-                        status: 'completed', 
-                        result 
-                    });
-                } else {
-                    // 即使失败，也发送代码建议（基于分析结果）
-                    sendToClient(clientId, 'suggestion', {
-                        file: result.result?.solution?.file || 'src/main.js',
-                        action: result.result?.solution?.action || 'modify',
-                        description: result.analysis?.summary || result.error || '代码已优化'
-                    });
-                    
-                    // 发送测试失败信息
-                    sendToClient(clientId, 'test_result', { 
-                        passed: false,
-                        message: result.error || '测试未通过'
-                    });
-                    
-                    sendToClient(clientId, 'complete', { feedbackId, status: 'failed', error: result.error, analysis: result.analysis });
-                }
-            }).catch(err => {
-                console.error('[流式] 智能体处理错误:', err);
-                // 发生错误时，仍然发送一个默认的分析结果
-                sendToClient(clientId, 'intent', { 
-                    intent: 'other',
-                    confidence: 0.5,
-                    message: '已收到反馈，正在处理中...'
-                });
-                sendToClient(clientId, 'error', { message: err.message });
-                sendToClient(clientId, 'complete', { feedbackId, status: 'error', error: err.message });
-            });
-            
-            // 立即返回处理中状态
-            sendToClient(clientId, 'stage', { stage: 'processing', message: '智能体正在处理中...' });
+            const job = await enqueueFeedback(feedback);
+            if (job) {
+                send('stage', { stage: 'queued', jobId: job.id, message: '已加入处理队列' });
+                watcher = watchJob(job.id, send);
+                const finished = await watcher.done;
+                if (finished) sendJobResult(send, feedbackId, finished);
+            } else {
+                // 任务队列不可用时已在后台直接处理
+                send('stage', { stage: 'processing', message: '智能体正在后台处理...' });
+                send('complete', { feedbackId, status: 'processing' });
+            }
         } else {
             // 没有智能体时的降级处理
             sendToClient(clientId, 'stage', { stage: 'analyzing', message: '正在分析反馈意图...' });
@@ -865,20 +1415,12 @@ app.post('/api/agent/process/stream', async (req, res) => {
             });
         }
 
-        // 延迟关闭连接，让前端有时间接收
-        setTimeout(() => {
-            res.write(`event: done\n`);
-            res.write(`data: ${JSON.stringify({ status: 'done' })}\n\n`);
-            res.end();
-            removeClient(clientId);
-        }, 1000);
-
+        send('done', { status: 'done' });
     } catch (error) {
         console.error('流式处理错误:', error);
-        sendToClient(clientId, 'error', { message: error.message });
-        res.end();
-        removeClient(clientId);
+        send('error', { message: error.message });
     }
+    removeClient(clientId);
 });
 
 // 流式生成代码建议
@@ -932,34 +1474,24 @@ async function generateCodeSuggestionStream(feedbackContent, intent, onChunk) {
         await new Promise(r => setTimeout(r, 10)); // 每个字符延迟10ms
     }
 
-    // 如果有 API Key，尝试调用 AI 生成更精准的建议（流式）
-    if (DEEPSEEK_API_KEY) {
+    // 如果配置了真实的LLM提供方，尝试调用 AI 生成更精准的建议（流式）
+    if (!llm.getProvider().isMock) {
         try {
-            const response = await axios.post(
-                'https://api.deepseek.com/v1/chat/completions',
-                {
-                    model: 'deepseek-chat',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `你是代码助手。根据用户反馈生成代码改进建议。回复格式为JSON，包含file(文件名)、action(操作描述)、codeDiff(代码行数变化)、description(描述)、detail(详细说明)字段。`
-                        },
-                        {
-                            role: 'user',
-                            content: `用户反馈: ${feedbackContent}\n问题类型: ${intent}\n请生成代码改进建议(用JSON格式):`
-                        }
-                    ],
-                    temperature: 0.5,
-                    max_tokens: 300,
-                    stream: false // 暂时不使用stream，因为需要特殊处理
-                },
-                {
-                    headers: { 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` },
-                    timeout: 20000
-                }
-            );
+            const { content } = await llm.getProvider().chat({
+                messages: [
+                    {
+                        role: 'system',
+                        content: `你是代码助手。根据用户反馈生成代码改进建议。回复格式为JSON，包含file(文件名)、action(操作描述)、codeDiff(代码行数变化)、description(描述)、detail(详细说明)字段。`
+                    },
+                    {
+                        role: 'user',
+                        content: `用户反馈: ${feedbackContent}\n问题类型: ${intent}\n请生成代码改进建议(用JSON格式):`
+                    }
+                ],
+                temperature: 0.5,
+                maxTokens: 300
+            });
 
-            const content = response.data.choices?.[0]?.message?.content || '';
             const jsonMatch = content.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
                 const parsed = JSON.parse(jsonMatch[0]);
@@ -973,6 +1505,20 @@ async function generateCodeSuggestionStream(feedbackContent, intent, onChunk) {
     return { ...template, aiGenerated: false };
 }
 
+// 预览代码修改（dry-run）：基于基础分支返回将要变更的行，不写文件，需管理密钥
+app.post('/api/agent/modify/preview', requireAdmin, async (req, res) => {
+    if (!agent) {
+        return res.status(503).json({ success: false, error: '智能体服务未加载' });
+    }
+    const { solution } = req.body;
+    if (!Array.isArray(solution?.changes) && !solution?.file) {
+        return res.status(400).json({ success: false, error: 'solution 需包含 changes 文件操作列表' });
+    }
+    
+    const result = await agent.codeModifier.applyChanges({ feedbackId: null, solution }, { dryRun: true });
+    res.status(result.success ? 200 : 422).json({ success: result.success, data: result, error: result.error });
+});
+
 // 手动触发测试
 app.post('/api/agent/test', async (req, res) => {
     const result = await runAutoTests();
@@ -992,7 +1538,8 @@ app.get('/api/agent/stats', async (req, res) => {
     const combinedStats = {
         ...agentStats,
         ...dbStats,
-        circuitBreaker: circuitBreaker ? circuitBreaker.getStatus() : null
+        circuitBreaker: circuitBreaker ? circuitBreaker.getStatus() : null,
+        translationMemory: translationMemory ? await translationMemory.getStats() : null
     };
     res.json({ success: true, data: combinedStats });
 });
@@ -1009,7 +1556,7 @@ app.get('/api/circuit/status', (req, res) => {
 
 // 熔断检查接口
 app.post('/api/circuit/check', async (req, res) => {
-    const { service, action, estimatedTokens, taskId } = req.body;
+    const { service, action, estimatedTokens, taskId, model, feedbackId } = req.body;
     if (!service || !action) {
         return res.status(400).json({ success: false, error: '缺少必要参数' });
     }
@@ -1018,22 +1565,34 @@ app.post('/api/circuit/check', async (req, res) => {
         return res.status(503).json({ success: false, error: '熔断管理器未加载' });
     }
     
-    const result = await circuitBreaker.check(service, action, estimatedTokens || 0, taskId);
+    const result = await circuitBreaker.check(service, action, estimatedTokens || 0, taskId, { model, feedbackId });
     res.json({ success: result.allowed, data: result });
 });
 
 // 释放资源
 app.post('/api/circuit/release', async (req, res) => {
-    const { taskId, actualTokens } = req.body;
-    if (!taskId) {
-        return res.status(400).json({ success: false, error: '缺少taskId' });
+    const { taskId, reservationId, actualTokens, failed, error } = req.body;
+    if (!taskId && !reservationId) {
+        return res.status(400).json({ success: false, error: '缺少taskId或reservationId' });
     }
     
     if (!circuitBreaker) {
         return res.status(503).json({ success: false, error: '熔断管理器未加载' });
     }
     
-    await circuitBreaker.release(taskId, actualTokens || 0);
+    // reservationId：释放 check 返回的单个预占，actualTokens 为实际用量（省略时全额退还）
+    // failed 为 true 时计为调用失败（半开时的探测失败会重新打开熔断）
+    if (reservationId) {
+        const reservation = circuitBreaker.getReservation(reservationId);
+        if (!reservation) {
+            return res.status(404).json({ success: false, error: `预占不存在或已释放: ${reservationId}` });
+        }
+        if (failed) circuitBreaker.recordFailure(reservation, error || '调用方报告失败');
+        await circuitBreaker.release(reservation, actualTokens);
+        return res.json({ success: true, data: { reservationId, taskId: reservation.taskId, tokens: reservation.tokens, released: true } });
+    }
+    
+    await circuitBreaker.release(taskId, actualTokens);
     res.json({ success: true, data: { taskId, released: true } });
 });
 
@@ -1052,17 +1611,41 @@ app.get('/api/circuit/token-usage', async (req, res) => {
 
 // 获取熔断事件记录
 app.get('/api/circuit/events', async (req, res) => {
-    const { limit = 50, service, unresolvedOnly } = req.query;
+    const { limit = 50, service, eventType, unresolvedOnly } = req.query;
     
     const result = await database.getCircuitBreakerEvents({
         limit: Number(limit),
         service,
+        eventType,
         unresolvedOnly: unresolvedOnly === 'true'
     });
     
     res.json({ success: true, data: result });
 });
 
+// 熔断阈值：全局阈值、按服务的覆盖值与各服务实际生效的阈值
+app.get('/api/circuit/config', requireAdmin, (req, res) => {
+    if (!circuitBreaker) {
+        return res.status(503).json({ success: false, error: '熔断管理器未加载' });
+    }
+    res.json({ success: true, data: circuitBreaker.describeConfig() });
+});
+
+// 修改熔断阈值：{ config: { MAX_DAILY_TOKENS }, services: { feedback_analyzer: { MAX_TASK_TOKENS } }, reason }
+// 覆盖值设为 null 时恢复使用全局阈值
+app.patch('/api/circuit/config', requireAdmin, async (req, res) => {
+    if (!circuitBreaker) {
+        return res.status(503).json({ success: false, error: '熔断管理器未加载' });
+    }
+    const { config: thresholds, services, reason } = req.body || {};
+    try {
+        const result = await circuitBreaker.updateConfig({ config: thresholds, services }, { actor: req.adminId, reason });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
 // 获取任务日志
 app.get('/api/agent/task-logs', async (req, res) => {
     const { limit = 20, taskId, feedbackId, status } = req.query;
@@ -1077,6 +1660,357 @@ app.get('/api/agent/task-logs', async (req, res) => {
     res.json({ success: true, data: result });
 });
 
+// ========== 任务队列 API ==========
+
+// 任务日志ID前缀对应的智能体阶段
+const TASK_STAGES = { analyze: 'analysis', solution: 'solution', modify: 'modification', test: 'test', publish: 'publish' };
+
+// 运行中的任务取最近一条服务任务日志作为当前阶段
+async function describeJob(job) {
+    let stage = job.status;
+    if (job.status === 'running' && job.feedbackId) {
+        const { list } = await database.getTaskLogs({ feedbackId: job.feedbackId, limit: Infinity });
+        const latest = list.find(t => TASK_STAGES[String(t.taskId).split('_')[0]]);
+        if (latest) stage = TASK_STAGES[latest.taskId.split('_')[0]];
+    } else if (job.status === 'completed') {
+        stage = job.result?.stage || 'completed';
+    }
+    
+    return {
+        id: job.id,
+        feedbackId: job.feedbackId,
+        content: job.payload?.feedback?.content || '',
+        status: job.status,
+        stage,
+        priority: job.priority,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: job.error || null,
+        result: job.result || null,
+        runAt: job.runAt,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+function requireJobQueue(req, res, next) {
+    if (!jobQueue) return res.status(503).json({ success: false, error: '任务队列不可用' });
+    next();
+}
+
+function sendStatusError(res, error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+// 队列列表：status 以逗号分隔，默认排队中、运行中与失败的任务
+app.get('/api/agent/queue', requireJobQueue, async (req, res) => {
+    const { status = 'queued,running,dead', limit = 50, offset = 0 } = req.query;
+    try {
+        const statuses = status === 'all' ? null : String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const { list, total } = await jobQueue.list({ status: statuses, limit: Number(limit), offset: Number(offset) });
+        res.json({
+            success: true,
+            data: {
+                list: await Promise.all(list.map(describeJob)),
+                total,
+                stats: await jobQueue.getStats()
+            }
+        });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+app.get('/api/agent/queue/:id', requireJobQueue, async (req, res) => {
+    try {
+        res.json({ success: true, data: await describeJob(await jobQueue.getJob(req.params.id)) });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// 调整优先级、取消与重新排队需管理员密钥
+app.patch('/api/agent/queue/:id', requireAdmin, requireJobQueue, async (req, res) => {
+    try {
+        const job = await jobQueue.setPriority(req.params.id, req.body?.priority);
+        res.json({ success: true, data: await describeJob(job) });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+app.post('/api/agent/queue/:id/cancel', requireAdmin, requireJobQueue, async (req, res) => {
+    try {
+        const job = await jobQueue.cancel(req.params.id);
+        await database.updateFeedback(job.feedbackId, { status: 'cancelled' });
+        res.json({ success: true, data: await describeJob(job) });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// 失败或已取消的任务重新排队
+app.post('/api/agent/queue/:id/requeue', requireAdmin, requireJobQueue, async (req, res) => {
+    try {
+        const job = await jobQueue.requeue(req.params.id);
+        await database.updateFeedback(job.feedbackId, { status: 'analyzing', error: null });
+        res.json({ success: true, data: await describeJob(job) });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// ========== 自动化迭代 API ==========
+
+// 反馈的迭代状态：每次 Agent.process 的任务日志（agent_*）为一次迭代
+async function getIterationStatus(feedback) {
+    const feedbackId = feedback.id;
+    const { list: logs } = await database.getTaskLogs({ feedbackId, limit: Infinity });
+    const history = logs
+        .filter(t => String(t.taskId).startsWith('agent_'))
+        .reverse()
+        .map((run, i) => ({
+            iteration: i + 1,
+            taskId: run.taskId,
+            status: run.status,
+            attempts: run.stages
+                .filter(st => st.name.startsWith('attempt_'))
+                .map(st => ({
+                    attempt: st.data.attempt,
+                    status: st.status,
+                    stage: st.data.stage,
+                    description: st.data.solution?.description || null,
+                    testsPassed: st.data.testsPassed,
+                    testsRun: st.data.testsRun,
+                    error: st.data.error || null
+                })),
+            reviews: run.stages
+                .filter(st => st.name.startsWith('review_'))
+                .map(st => ({ approvalId: st.data.approvalId, checkpoint: st.data.checkpoint, decision: st.data.decision, comment: st.data.comment, edited: st.data.edited })),
+            branch: run.result?.branch || null,
+            pr: run.result?.pr || null,
+            error: run.error || null,
+            startedAt: run.createdAt,
+            updatedAt: run.updatedAt
+        }));
+    
+    const jobs = jobQueue ? (await jobQueue.list({ feedbackId, limit: Infinity })).list : [];
+    const activeJob = jobs.find(j => j.status === 'running' || j.status === 'queued');
+    const current = activeJob ? await describeJob(activeJob) : null;
+    const pr = [...history].reverse().find(h => h.pr)?.pr || feedback.result?.pr || null;
+    const { list: [pendingApproval] } = agent
+        ? await agent.approvalGate.list({ status: ['pending'], feedbackId, limit: 1 })
+        : { list: [] };
+    
+    return {
+        feedbackId,
+        content: feedback.content,
+        status: current ? current.status : feedback.status,
+        stage: current ? current.stage : feedback.status,
+        active: Boolean(current),
+        pr,
+        error: feedback.error || null,
+        approval: pendingApproval ? describeApproval(pendingApproval) : null,
+        history,
+        jobs: await Promise.all(jobs.map(describeJob))
+    };
+}
+
+// force 会重新运行已创建PR或已转人工的反馈，需管理员密钥
+function requireAdminWhenForced(req, res, next) {
+    if (req.body?.force) return requireAdmin(req, res, next);
+    next();
+}
+
+// 对已有反馈运行智能体流程（分析 → 生成 → 修改 → 测试 → 创建PR）
+app.post('/api/agent/auto-iterate', requireAdminWhenForced, async (req, res) => {
+    const { feedbackId, autoMerge = false, force = false } = req.body || {};
+    if (!feedbackId) return res.status(400).json({ success: false, error: 'feedbackId 不能为空' });
+    if (autoMerge) return res.status(400).json({ success: false, error: '不支持自动合并，PR需人工审核后合并' });
+    if (!agent) return res.status(503).json({ success: false, error: '智能体服务不可用' });
+    
+    const feedback = await database.getFeedbackById(String(feedbackId));
+    if (!feedback) return res.status(404).json({ success: false, error: '反馈不存在' });
+    
+    const iteration = await getIterationStatus(feedback);
+    if (iteration.active) {
+        return res.status(409).json({ success: false, error: '该反馈正在处理中', data: iteration });
+    }
+    // 已创建PR、已由队列任务处理过（如流式处理）或已转人工时不重复运行，除非 force
+    if (!force && (iteration.pr || iteration.jobs.some(j => j.status === 'completed' || j.status === 'dead'))) {
+        return res.json({ success: true, data: { ...iteration, existing: true } });
+    }
+    if (!force && feedback.status === 'needs_human') {
+        return res.status(409).json({ success: false, error: '该反馈需要人工处理，可使用 force 重新运行', data: iteration });
+    }
+    // 等待审核的流程只能通过审核接口继续
+    if (iteration.approval) {
+        return res.status(409).json({ success: false, error: '该反馈正在等待人工审核，请先批准或驳回', data: iteration });
+    }
+    
+    try {
+        await database.updateFeedback(feedback.id, { status: 'analyzing', error: null });
+        const job = await enqueueFeedback(feedback);
+        res.status(202).json({ success: true, data: { ...(await getIterationStatus(await database.getFeedbackById(feedback.id))), jobId: job?.id || null } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 创建反馈并运行智能体流程
+app.post('/api/agent/process-and-iterate', async (req, res) => {
+    const { content, userId, language, autoMerge = false } = req.body || {};
+    if (!content?.trim()) return res.status(400).json({ success: false, error: '内容不能为空' });
+    if (autoMerge) return res.status(400).json({ success: false, error: '不支持自动合并，PR需人工审核后合并' });
+    if (!agent) return res.status(503).json({ success: false, error: '智能体服务不可用' });
+    
+    const feedback = {
+        id: generateId(),
+        userId: userId || generateId('user'),
+        content: content.substring(0, 280),
+        language: language || 'zh',
+        timestamp: new Date().toISOString(),
+        status: 'analyzing'
+    };
+    await database.createFeedback(feedback);
+    feedbackStore.unshift(feedback);
+    agentStats.totalProcessed++;
+    agentStats.todayProcessed++;
+    agentStats.lastUpdate = new Date().toISOString();
+    
+    try {
+        const job = await enqueueFeedback(feedback);
+        res.status(202).json({ success: true, data: { feedbackId: feedback.id, iteration: { ...(await getIterationStatus(feedback)), jobId: job?.id || null } } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 迭代状态与历史
+app.get('/api/agent/iteration/:feedbackId', async (req, res) => {
+    const feedback = await database.getFeedbackById(req.params.feedbackId);
+    if (!feedback) return res.status(404).json({ success: false, error: '反馈不存在' });
+    res.json({ success: true, data: await getIterationStatus(feedback) });
+});
+
+// ========== 人工审核 API ==========
+
+// 列表不返回 diff 与流程状态，详情见 GET /api/agent/approvals/:id
+function describeApproval(approval, { detail = false } = {}) {
+    const summary = {
+        id: approval.id,
+        feedbackId: approval.feedbackId,
+        content: approval.feedback?.content || '',
+        checkpoint: approval.checkpoint,
+        status: approval.status,
+        attempt: approval.attempt,
+        description: approval.solution?.description || '',
+        files: approval.files || [],
+        test: approval.test || null,
+        branch: approval.modification?.branch || null,
+        comment: approval.comment || null,
+        reviewer: approval.reviewer || null,
+        edited: Boolean(approval.editedSolution),
+        createdAt: approval.createdAt,
+        decidedAt: approval.decidedAt || null
+    };
+    if (!detail) return summary;
+    
+    return {
+        ...summary,
+        diff: approval.diff || '',
+        solution: approval.solution,
+        editedSolution: approval.editedSolution || null,
+        previousAttempts: (approval.previousAttempts || []).map(a => ({
+            attempt: a.attempt,
+            stage: a.stage,
+            description: a.solution?.description || '',
+            testsPassed: a.testsPassed,
+            testsRun: a.testsRun,
+            reviewComment: a.reviewComment || null
+        }))
+    };
+}
+
+function requireAgent(req, res, next) {
+    if (!agent) return res.status(503).json({ success: false, error: '智能体服务不可用' });
+    next();
+}
+
+// 审核接口需管理员密钥，审核人记录为鉴权得到的管理员标识
+// 审核列表：status 以逗号分隔，默认待审核
+app.get('/api/agent/approvals', requireAdmin, requireAgent, async (req, res) => {
+    const { status = 'pending', feedbackId, limit = 50, offset = 0 } = req.query;
+    try {
+        const statuses = status === 'all' ? null : String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const { list, total } = await agent.approvalGate.list({ status: statuses, feedbackId, limit: Number(limit), offset: Number(offset) });
+        res.json({ success: true, data: { list: list.map(a => describeApproval(a)), total, stages: agent.approvalGate.stages } });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+app.get('/api/agent/approvals/:id', requireAdmin, requireAgent, async (req, res) => {
+    try {
+        res.json({ success: true, data: describeApproval(await agent.approvalGate.get(req.params.id), { detail: true }) });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// 批准：可附编辑后的 diff 或 solution，替换原方案后继续
+app.post('/api/agent/approvals/:id/approve', requireAdmin, requireAgent, async (req, res) => {
+    const { solution, diff, comment } = req.body || {};
+    try {
+        const approval = await agent.approvalGate.approve(req.params.id, { solution, diff, comment, reviewer: req.adminId });
+        await database.updateFeedback(approval.feedbackId, { status: 'analyzing', error: null });
+        const job = await resumeApproval(approval);
+        res.json({ success: true, data: { ...describeApproval(approval, { detail: true }), jobId: job?.id || null } });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// 驳回：审核意见反馈给方案生成，重新生成方案
+app.post('/api/agent/approvals/:id/reject', requireAdmin, requireAgent, async (req, res) => {
+    const { comment } = req.body || {};
+    try {
+        const approval = await agent.approvalGate.reject(req.params.id, { comment, reviewer: req.adminId });
+        await database.updateFeedback(approval.feedbackId, { status: 'analyzing', error: null });
+        const job = await resumeApproval(approval);
+        res.json({ success: true, data: { ...describeApproval(approval, { detail: true }), jobId: job?.id || null } });
+    } catch (error) {
+        sendStatusError(res, error);
+    }
+});
+
+// 状态检查会执行 git ls-remote 并调用托管平台 API：结果缓存一分钟，并发请求共用同一次检查，失败不缓存
+const GITHUB_STATUS_TTL_MS = 60 * 1000;
+let githubStatusCache = null;
+
+function getGitHubStatus() {
+    if (githubStatusCache && githubStatusCache.expiresAt > Date.now()) return githubStatusCache.promise;
+    
+    const fs = require('fs');
+    const { getHostingClient } = require('./git-hosting');
+    const cwd = agent && fs.existsSync(agent.codeModifier.repoDir) ? agent.codeModifier.repoDir : undefined;
+    const promise = getHostingClient().getStatus({ cwd });
+    githubStatusCache = { promise, expiresAt: Date.now() + GITHUB_STATUS_TTL_MS };
+    promise.catch(() => {
+        if (githubStatusCache?.promise === promise) githubStatusCache = null;
+    });
+    return promise;
+}
+
+// Git 托管配置状态（不返回令牌）
+app.get('/api/agent/github-status', async (req, res) => {
+    try {
+        res.json({ success: true, data: await getGitHubStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message, data: { configured: false, message: error.message } });
+    }
+});
+
 // 调试路由 (生产环境需要认证)
 const debugRouter = express.Router();
 
@@ -1141,23 +2075,36 @@ app.get('/api/download/:filename', (req, res) => {
     res.download(filePath);
 });
 
-// 启动服务器
-app.listen(PORT, () => {
-    console.log(`🤖 智能体后端服务已启动: http://localhost:${PORT}`);
-    console.log('📡 API 端点:');
-    console.log('   - GET  /api/health           健康检查');
-    console.log('   - GET  /api/feedback         反馈列表');
-    console.log('   - POST /api/feedback         创建反馈');
-    console.log('   - POST /api/translate        翻译');
-    console.log('   - POST /api/agent/process    处理反馈（智能体）');
-    console.log('');
-    console.log('🛡️  熔断管理 API:');
-    console.log('   - GET  /api/circuit/status       熔断状态');
-    console.log('   - POST /api/circuit/check       熔断检查');
-    console.log('   - POST /api/circuit/release    释放资源');
-    console.log('   - GET  /api/circuit/token-usage Token使用记录');
-    console.log('   - GET  /api/circuit/events      熔断事件记录');
-    console.log('   - GET  /api/agent/task-logs    任务日志');
-});
+// 启动服务器（被测试加载时不监听端口）
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🤖 智能体后端服务已启动: http://localhost:${PORT}`);
+        console.log('📡 API 端点:');
+        console.log('   - GET  /api/health           健康检查');
+        console.log('   - GET  /api/feedback         反馈列表');
+        console.log('   - POST /api/feedback         创建反馈');
+        console.log('   - POST /api/translate        翻译');
+        console.log('   - POST /api/translate/batch  批量翻译');
+        console.log('   - POST /api/translate/stream 流式翻译（SSE）');
+        console.log('   - DELETE /api/translate/memory 清除翻译记忆（需 ADMIN_API_KEYS）');
+        console.log('   - GET/POST /api/glossary     术语表管理（写操作需 ADMIN_API_KEYS）');
+        console.log('   - POST /api/agent/process    处理反馈（智能体）');
+        console.log('');
+        console.log('🛡️  熔断管理 API:');
+        console.log('   - GET  /api/circuit/status       熔断状态');
+        console.log('   - POST /api/circuit/check       熔断检查');
+        console.log('   - POST /api/circuit/release    释放资源');
+        console.log('   - GET  /api/circuit/token-usage Token使用记录');
+        console.log('   - GET  /api/circuit/events      熔断事件记录');
+        console.log('   - GET/PATCH /api/circuit/config 熔断阈值（需 ADMIN_API_KEYS）');
+        console.log('   - GET  /api/agent/task-logs    任务日志');
+        console.log('   - GET  /api/agent/queue        任务队列（PATCH 调整优先级、POST cancel/requeue 需 ADMIN_API_KEYS）');
+        console.log('   - POST /api/agent/auto-iterate 对已有反馈运行智能体流程（force 需 ADMIN_API_KEYS）');
+        console.log('   - POST /api/agent/process-and-iterate 创建反馈并运行智能体流程');
+        console.log('   - GET  /api/agent/iteration/:id 迭代状态与历史');
+        console.log('   - GET  /api/agent/github-status Git托管配置状态（缓存1分钟）');
+        console.log('   - GET  /api/agent/approvals    人工审核（POST :id/approve、:id/reject，需 ADMIN_API_KEYS）');
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,145 @@
+/**
+ * 人工审核检查点
+ * 智能体流程可在生成方案后（solution）或测试通过后（test）暂停，反馈状态为 awaiting_approval，
+ * 审核者查看 diff 后：
+ * - 批准：继续流程；可附编辑后的方案或多文件 diff，编辑后的补丁替换原方案
+ * - 驳回：必须附审核意见，意见与被驳回的方案一起反馈给方案生成，重新生成方案
+ *
+ * 审核状态：pending → approved / rejected
+ * 暂停时的流程状态（分析结果、尝试记录、工作分支、测试结果）保存在审核记录中，恢复时由 Agent.process 读取
+ *
+ * 配置（环境变量）：
+ * - AGENT_APPROVAL_STAGES：需要审核的检查点，逗号分隔（solution、test），默认不审核
+ */
+
+const database = require('./database');
+const { SCHEMAS, validate } = require('./structured-output');
+const { PatchError, diffToChanges } = require('./code-patch');
+
+const CHECKPOINTS = ['solution', 'test'];
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+class ApprovalError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApprovalError';
+        this.status = status;
+    }
+}
+
+class ApprovalGate {
+    constructor({ stages = [], store = database } = {}) {
+        const invalid = stages.filter(s => !CHECKPOINTS.includes(s));
+        if (invalid.length > 0) {
+            throw new ApprovalError(`无效的审核检查点: ${invalid.join(', ')}（可选: ${CHECKPOINTS.join(', ')}）`);
+        }
+        this.stages = stages;
+        this.store = store;
+    }
+
+    static fromEnv(env = process.env, options = {}) {
+        const stages = String(env.AGENT_APPROVAL_STAGES || '').split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = stages.filter(s => !CHECKPOINTS.includes(s));
+        if (invalid.length > 0) {
+            console.warn(`[ApprovalGate] 忽略无效的审核检查点: ${invalid.join(', ')}`);
+        }
+        return new ApprovalGate({ stages: stages.filter(s => CHECKPOINTS.includes(s)), ...options });
+    }
+
+    requires(checkpoint) {
+        return this.stages.includes(checkpoint);
+    }
+
+    /**
+     * 在检查点暂停：保存流程状态，等待审核
+     */
+    async request(state) {
+        if (!CHECKPOINTS.includes(state.checkpoint)) {
+            throw new ApprovalError(`无效的审核检查点: ${state.checkpoint}`);
+        }
+        const approval = await this.store.createApproval({ ...state, status: 'pending' });
+        console.log(`[ApprovalGate] 反馈 ${state.feedbackId} 在 ${state.checkpoint} 检查点等待审核: ${approval.id}`);
+        return approval;
+    }
+
+    async get(id) {
+        const approval = await this.store.getApprovalById(id);
+        if (!approval) throw new ApprovalError(`审核不存在: ${id}`, 404);
+        return approval;
+    }
+
+    /**
+     * 审核列表（最新的在前），status 为状态数组，省略时返回全部
+     */
+    async list({ status = null, feedbackId, limit = 50, offset = 0 } = {}) {
+        const invalid = (status || []).filter(s => !APPROVAL_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            throw new ApprovalError(`无效的审核状态: ${invalid.join(', ')}`);
+        }
+        return this.store.getApprovals({ status: status || undefined, feedbackId, limit, offset });
+    }
+
+    async getPending(id) {
+        const approval = await this.get(id);
+        if (approval.status !== 'pending') {
+            throw new ApprovalError(`审核已处理（当前状态 ${approval.status}）`, 409);
+        }
+        return approval;
+    }
+
+    /**
+     * 批准
+     * diff（多文件统一 diff）或 solution（{ description, changes }）为审核者编辑后的补丁，二者都省略时按原方案继续
+     */
+    async approve(id, { solution = null, diff = null, comment = '', reviewer = null } = {}) {
+        const approval = await this.getPending(id);
+
+        let edited = null;
+        if (typeof diff === 'string' && diff.trim() !== '') {
+            try {
+                edited = { description: solution?.description || approval.solution.description, changes: diffToChanges(diff) };
+            } catch (error) {
+                if (error instanceof PatchError) throw new ApprovalError(`无法解析编辑后的 diff: ${error.message}`);
+                throw error;
+            }
+        } else if (solution) {
+            edited = solution;
+        }
+        if (edited) {
+            const errors = validate(SCHEMAS.generate_solution, edited);
+            if (errors.length > 0) throw new ApprovalError(`编辑后的方案无效: ${errors.join('; ')}`);
+        }
+
+        return this.store.updateApproval(id, {
+            status: 'approved',
+            comment: String(comment || '').trim(),
+            reviewer,
+            editedSolution: edited,
+            decidedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 驳回：审核意见必填，用于重新生成方案
+     */
+    async reject(id, { comment = '', reviewer = null } = {}) {
+        await this.getPending(id);
+        if (!String(comment || '').trim()) {
+            throw new ApprovalError('驳回时必须填写审核意见');
+        }
+
+        return this.store.updateApproval(id, {
+            status: 'rejected',
+            comment: String(comment).trim(),
+            reviewer,
+            decidedAt: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    ApprovalGate,
+    ApprovalError,
+    CHECKPOINTS,
+    APPROVAL_STATUSES
+};
@@ -7,14 +7,97 @@
  * - 当前正在处理的任务数
  * - 每个任务已消耗的token
  * 
+ * 预占与结算：
+ * - check 通过时按预估token预占（reservation），带 taskId 时占用一个并发任务名额
+ * - settle 按提供方报告的实际用量结算，差额计入每日用量
+ * - release 释放预占：未结算的预占全额退还；同一任务的预占全部释放后并发任务数减一
+ * 调用方应在 finally 中 release，保证失败时也能退还
+ * 
+ * 费用预算：
+ * - check 传入 model 时按价格表（pricing.js）预估费用并一同预占，settle 按实际费用结算
+ * - 每日费用与 token 共用统计窗口，每月费用按自然月统计，单个反馈的费用累计不清零
+ * 
+ * 持久化：
+ * - restore 从数据库（DB_MODE=file 时落盘）恢复用量窗口、熔断状态、重试计数与近期事件，之后状态变更延迟保存
+ * - 未结算的预占不保存，重启后视为未发生
+ * - 窗口按时钟切换：停机期间跨过 dailyTokenReset 时，恢复后立即重置并对齐到原窗口边界
+ * 
  * 配置阈值：
  * - MAX_DAILY_TOKENS：每日总token上限
  * - MAX_TASK_TOKENS：单个任务最大token
  * - MAX_CONCURRENT_TASKS：最大并发任务数
  * - MAX_RETRIES：同一反馈最大重试次数
+ * - MAX_DAILY_COST / MAX_MONTHLY_COST / MAX_FEEDBACK_COST：每日、每月、单个反馈费用上限，null 表示不限制
+ *   （环境变量 LLM_MAX_DAILY_COST、LLM_MAX_MONTHLY_COST、LLM_MAX_FEEDBACK_COST）
+ * 
+ * 熔断状态（按服务）：CLOSED → OPEN → HALF_OPEN → CLOSED / OPEN
+ * - CLOSED：FAILURE_WINDOW_MS 内失败达到 FAILURE_THRESHOLD 次时打开；失败包括被限额拒绝与调用方 recordFailure 报告的异常
+ * - OPEN：拒绝该服务的所有调用，HALF_OPEN_TEST_INTERVAL 后进入半开
+ * - HALF_OPEN：最多同时放行 HALF_OPEN_MAX_PROBES 个探测调用；探测成功（释放时未报告失败）关闭，失败重新打开
+ * - 状态切换记录为熔断事件（CIRCUIT_OPENED / CIRCUIT_HALF_OPEN / CIRCUIT_CLOSED），关闭时将本次熔断的事件标记为已解决
+ * 
+ * 运行时配置：
+ * - updateConfig 修改全局阈值与按服务的覆盖值（如 feedback_analyzer 单独的 MAX_TASK_TOKENS），校验后立即生效
+ * - 修改保存到 settings（circuitBreakerConfig），restore 时优先于默认值与环境变量；每次修改记录为 CONFIG_UPDATED 熔断事件
  */
 
 const EventEmitter = require('events');
+const database = require('./database');
+const { pricing: defaultPricing } = require('./pricing');
+
+// 超过该时间仍未释放的预占视为泄漏，由清理定时器退还
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// 保留费用累计的反馈数
+const MAX_TRACKED_FEEDBACK = 1000;
+
+// 状态变更后延迟保存，合并短时间内的多次变更
+const SAVE_DELAY_MS = 1000;
+// 快照中保存的近期事件数
+const PERSISTED_EVENTS = 100;
+
+// 运行时配置在 settings 中的键
+const CONFIG_SETTING_KEY = 'circuitBreakerConfig';
+
+// 可在运行时修改的阈值；nullable 表示可设为 null（不限制）
+const CONFIG_RULES = {
+    MAX_DAILY_TOKENS: { integer: true, min: 1 },
+    MAX_TASK_TOKENS: { integer: true, min: 1 },
+    MAX_CONCURRENT_TASKS: { integer: true, min: 1 },
+    MAX_RETRIES: { integer: true, min: 1 },
+    HALF_OPEN_TEST_INTERVAL: { integer: true, min: 1000 },
+    HALF_OPEN_MAX_PROBES: { integer: true, min: 1 },
+    FAILURE_THRESHOLD: { integer: true, min: 1 },
+    FAILURE_WINDOW_MS: { integer: true, min: 1000 },
+    MAX_DAILY_COST: { min: 0, nullable: true },
+    MAX_MONTHLY_COST: { min: 0, nullable: true },
+    MAX_FEEDBACK_COST: { min: 0, nullable: true }
+};
+
+// 调用 check 的服务，及可按服务覆盖的阈值
+const SERVICES = ['llm', 'feedback_analyzer', 'solution_generator', 'code_modifier', 'test_service', 'publish_service'];
+const SERVICE_OVERRIDE_KEYS = [
+    'MAX_DAILY_TOKENS', 'MAX_TASK_TOKENS', 'MAX_CONCURRENT_TASKS', 'MAX_DAILY_COST', 'MAX_MONTHLY_COST', 'MAX_FEEDBACK_COST',
+    'HALF_OPEN_TEST_INTERVAL', 'HALF_OPEN_MAX_PROBES', 'FAILURE_THRESHOLD', 'FAILURE_WINDOW_MS'
+];
+
+const CIRCUIT_STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+
+// 状态切换对应的熔断事件类型与 EventEmitter 事件
+const TRANSITION_EVENTS = {
+    OPEN: { eventType: 'CIRCUIT_OPENED', emit: 'circuit_opened' },
+    HALF_OPEN: { eventType: 'CIRCUIT_HALF_OPEN', emit: 'circuit_half_open' },
+    CLOSED: { eventType: 'CIRCUIT_CLOSED', emit: 'circuit_closed' }
+};
+
+// 不计为失败的检查结果：限额与预算拒绝是本地保护，不代表服务故障
+const NON_FAILURE_STATUSES = [
+    'ALLOWED', 'CIRCUIT_OPEN', 'PROBE_LIMIT', 'MAX_RETRIES_EXCEEDED',
+    'DAILY_TOKEN_LIMIT', 'CONCURRENT_LIMIT', 'TASK_TOKEN_LIMIT',
+    'DAILY_COST_LIMIT', 'MONTHLY_COST_LIMIT', 'FEEDBACK_COST_LIMIT'
+];
+
+const HOUR_MS = 60 * 60 * 1000;
 
 // 默认配置阈值
 const DEFAULT_CONFIG = {
@@ -23,29 +106,99 @@ const DEFAULT_CONFIG = {
     MAX_CONCURRENT_TASKS: 10,       // 最大10并发
     MAX_RETRIES: 3,                 // 最多重试3次
     TOKEN_WINDOW_MS: 24 * 60 * 60 * 1000, // 24小时窗口
-    HALF_OPEN_TEST_INTERVAL: 10 * 60 * 1000 // 10分钟尝试恢复
+    HALF_OPEN_TEST_INTERVAL: 10 * 60 * 1000, // 10分钟尝试恢复
+    HALF_OPEN_MAX_PROBES: 1,        // 半开时同时放行的探测调用数
+    FAILURE_THRESHOLD: 5,           // 窗口内失败次数达到该值时打开
+    FAILURE_WINDOW_MS: 60 * 1000,   // 失败计数窗口
+    MAX_DAILY_COST: null,           // 每日费用上限
+    MAX_MONTHLY_COST: null,         // 每月费用上限
+    MAX_FEEDBACK_COST: null         // 单个反馈费用上限
 };
 
+class CircuitConfigError extends Error {
+    constructor(message, errors = [], status = 400) {
+        super(message);
+        this.name = 'CircuitConfigError';
+        this.errors = errors;
+        this.status = status;
+    }
+}
+
+function validateThreshold(key, value, allowNull) {
+    const rule = CONFIG_RULES[key];
+    if (value === null) return allowNull ? null : `${key} 不能为空`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} 应为数字`;
+    if (rule.integer && !Number.isInteger(value)) return `${key} 应为整数`;
+    if (value < rule.min) return `${key} 不能小于 ${rule.min}`;
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function roundCost(amount) {
+    return Number(amount.toFixed(8));
+}
+
+function startOfMonth(time, offset = 0) {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth() + offset, 1).getTime();
+}
+
+/**
+ * 从环境变量读取费用上限，未设置时不限制
+ */
+function configFromEnv(env = process.env) {
+    const config = {};
+    const keys = { MAX_DAILY_COST: 'LLM_MAX_DAILY_COST', MAX_MONTHLY_COST: 'LLM_MAX_MONTHLY_COST', MAX_FEEDBACK_COST: 'LLM_MAX_FEEDBACK_COST' };
+    for (const [key, name] of Object.entries(keys)) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const value = Number(env[name]);
+        if (Number.isFinite(value) && value >= 0) {
+            config[key] = value;
+        } else {
+            console.warn(`[熔断器] 忽略无效的 ${name}: ${env[name]}`);
+        }
+    }
+    return config;
+}
+
 class CircuitBreakerManager extends EventEmitter {
-    constructor(config = {}) {
+    constructor(config = {}, { pricing = defaultPricing, store = null } = {}) {
         super();
         this.config = { ...DEFAULT_CONFIG, ...config };
+        this.pricing = pricing;
+        
+        // 运行时修改的全局阈值与按服务的覆盖值
+        this.runtimeConfig = {};
+        this.serviceOverrides = {};
+        this.configUpdatedAt = null;
+        this.configUpdatedBy = null;
+        
+        // 状态持久化：restore 之后才保存，避免覆盖尚未恢复的快照
+        this.store = store;
+        this.persistent = false;
+        this.saveTimer = null;
         
         // 实时用量数据
         this.usage = {
             dailyTokens: 0,           // 今日已消耗token
             dailyTokenReset: Date.now() + this.config.TOKEN_WINDOW_MS,
+            dailyCost: 0,             // 今日费用（与 dailyTokens 同一窗口）
+            monthlyCost: 0,           // 本月费用
+            monthlyCostReset: startOfMonth(Date.now(), 1),
+            feedbackCosts: new Map(),  // feedbackId -> 累计费用
             concurrentTasks: 0,       // 当前并发任务数
-            tasks: new Map()           // taskId -> { tokens, retries, status }
+            tasks: new Map(),          // taskId -> { tokens, holds, status }
+            reservations: new Map(),   // reservationId -> { service, action, taskId, tokens, cost, settled }
+            retries: new Map()         // feedbackId -> 已重试次数
         };
         
-        // 熔断状态
-        this.circuitState = {
-            isOpen: false,            // 熔断是否打开
-            lastOpenTime: null,
-            halfOpenTestCount: 0,    // 半开测试次数
-            nextAllowedTime: null
-        };
+        // 熔断状态：service -> { state, failures, openedAt, nextAttemptAt, probes, incident }
+        this.circuits = new Map();
+        // 状态切换事件按顺序写入数据库
+        this.transitionWrites = Promise.resolve();
         
         // 熔断事件日志
         this.events = [];
@@ -56,46 +209,53 @@ class CircuitBreakerManager extends EventEmitter {
     
     /**
      * 检查是否允许执行操作
+     * options.model 用于预估费用，options.feedbackId 用于单个反馈的费用上限
      */
-    async check(service, action, estimatedTokens = 0, taskId = null) {
+    async check(service, action, estimatedTokens = 0, taskId = null, { model = null, feedbackId = null } = {}) {
         const now = Date.now();
+        this.rollover(now);
+        const limits = this.getConfig(service);
         const result = {
             allowed: true,
             reason: '',
             currentUsage: {
                 dailyTokens: this.usage.dailyTokens,
                 concurrentTasks: this.usage.concurrentTasks,
-                maxDailyTokens: this.config.MAX_DAILY_TOKENS,
-                maxConcurrentTasks: this.config.MAX_CONCURRENT_TASKS
+                maxDailyTokens: limits.MAX_DAILY_TOKENS,
+                maxConcurrentTasks: limits.MAX_CONCURRENT_TASKS
             }
         };
         
-        // 检查熔断是否打开
-        if (this.circuitState.isOpen) {
-            if (now < this.circuitState.nextAllowedTime) {
+        // 检查熔断状态：打开期间拒绝，到期后进入半开，半开时只放行有限的探测调用
+        const circuit = this.getCircuit(service);
+        if (circuit.state === 'OPEN') {
+            if (now < circuit.nextAttemptAt) {
                 result.allowed = false;
-                result.reason = '熔断器已打开，请稍后重试';
+                result.reason = `熔断器已打开（${service}），请稍后重试`;
                 this.recordEvent(service, action, 'CIRCUIT_OPEN', estimatedTokens, taskId);
                 return result;
-            } else {
-                this.circuitState.isOpen = false;
-                this.circuitState.halfOpenTestCount = 0;
-                this.emit('circuit_half_open', { service, action });
             }
+            this.transition(service, 'HALF_OPEN', '等待时间已到，开始探测', now);
+        }
+        if (circuit.state === 'HALF_OPEN' && circuit.probes >= limits.HALF_OPEN_MAX_PROBES) {
+            result.allowed = false;
+            result.reason = `熔断器半开（${service}），探测调用进行中`;
+            this.recordEvent(service, action, 'PROBE_LIMIT', estimatedTokens, taskId);
+            return result;
         }
         
         // 检查每日token上限
-        if (this.usage.dailyTokens + estimatedTokens > this.config.MAX_DAILY_TOKENS) {
+        if (this.usage.dailyTokens + estimatedTokens > limits.MAX_DAILY_TOKENS) {
             result.allowed = false;
-            result.reason = `每日token限额已用完 (${this.usage.dailyTokens}/${this.config.MAX_DAILY_TOKENS})`;
+            result.reason = `每日token限额已用完 (${this.usage.dailyTokens}/${limits.MAX_DAILY_TOKENS})`;
             this.recordEvent(service, action, 'DAILY_TOKEN_LIMIT', estimatedTokens, taskId);
             return result;
         }
         
-        // 检查并发任务上限
-        if (this.usage.concurrentTasks >= this.config.MAX_CONCURRENT_TASKS) {
+        // 检查并发任务上限（已在运行的任务再次预占不占用新名额）
+        if (!(taskId && this.usage.tasks.has(taskId)) && this.usage.concurrentTasks >= limits.MAX_CONCURRENT_TASKS) {
             result.allowed = false;
-            result.reason = `并发任务数已达上限 (${this.usage.concurrentTasks}/${this.config.MAX_CONCURRENT_TASKS})`;
+            result.reason = `并发任务数已达上限 (${this.usage.concurrentTasks}/${limits.MAX_CONCURRENT_TASKS})`;
             this.recordEvent(service, action, 'CONCURRENT_LIMIT', estimatedTokens, taskId);
             return result;
         }
@@ -103,39 +263,37 @@ class CircuitBreakerManager extends EventEmitter {
         // 检查单任务token上限
         if (taskId && this.usage.tasks.has(taskId)) {
             const taskUsage = this.usage.tasks.get(taskId);
-            if (taskUsage.tokens + estimatedTokens > this.config.MAX_TASK_TOKENS) {
+            if (taskUsage.tokens + estimatedTokens > limits.MAX_TASK_TOKENS) {
                 result.allowed = false;
-                result.reason = `任务token限额已用完 (${taskUsage.tokens}/${this.config.MAX_TASK_TOKENS})`;
+                result.reason = `任务token限额已用完 (${taskUsage.tokens}/${limits.MAX_TASK_TOKENS})`;
                 this.recordEvent(service, action, 'TASK_TOKEN_LIMIT', estimatedTokens, taskId);
                 return result;
             }
         }
         
-        // 预占资源
-        if (estimatedTokens > 0) {
-            this.usage.dailyTokens += estimatedTokens;
+        // 检查费用上限
+        const estimatedCost = this.pricing.estimate(model, estimatedTokens);
+        const overBudget = this.checkBudget(estimatedCost, feedbackId, limits);
+        if (overBudget) {
+            result.allowed = false;
+            result.reason = overBudget.reason;
+            this.recordEvent(service, action, overBudget.status, estimatedTokens, taskId);
+            return result;
         }
         
-        if (taskId) {
-            if (!this.usage.tasks.has(taskId)) {
-                this.usage.concurrentTasks++;
-                this.usage.tasks.set(taskId, {
-                    tokens: estimatedTokens,
-                    retries: 0,
-                    status: 'running',
-                    createdAt: now
-                });
-            } else {
-                const task = this.usage.tasks.get(taskId);
-                task.tokens += estimatedTokens;
-            }
+        // 预占资源
+        result.reservation = this.reserve(service, action, estimatedTokens, taskId, now, { cost: estimatedCost, model, feedbackId });
+        if (circuit.state === 'HALF_OPEN') {
+            result.reservation.probe = true;
+            result.probe = true;
+            circuit.probes++;
         }
         
         result.currentUsage = {
             dailyTokens: this.usage.dailyTokens,
             concurrentTasks: this.usage.concurrentTasks,
-            maxDailyTokens: this.config.MAX_DAILY_TOKENS,
-            maxConcurrentTasks: this.config.MAX_CONCURRENT_TASKS
+            maxDailyTokens: limits.MAX_DAILY_TOKENS,
+            maxConcurrentTasks: limits.MAX_CONCURRENT_TASKS
         };
         
         this.recordEvent(service, action, 'ALLOWED', estimatedTokens, taskId);
@@ -145,17 +303,282 @@ class CircuitBreakerManager extends EventEmitter {
     }
     
     /**
-     * 释放预占资源
+     * 服务实际使用的阈值：全局阈值叠加该服务的覆盖值
      */
-    async release(taskId, actualTokens = 0) {
-        if (taskId && this.usage.tasks.has(taskId)) {
+    getConfig(service) {
+        return { ...this.config, ...(this.serviceOverrides[service] || {}) };
+    }
+    
+    /**
+     * 校验配置修改，返回错误列表
+     * update.config 为全局阈值，update.services 为 { 服务名: { 阈值: 值 } }，覆盖值为 null 时恢复使用全局阈值
+     */
+    validateConfigUpdate({ config = {}, services = {} } = {}) {
+        const errors = [];
+        if (!isPlainObject(config)) return ['config 应为对象'];
+        if (!isPlainObject(services)) return ['services 应为对象'];
+        
+        for (const [key, value] of Object.entries(config)) {
+            if (!CONFIG_RULES[key]) {
+                errors.push(`未知或不可修改的配置项: ${key}`);
+                continue;
+            }
+            const error = validateThreshold(key, value, CONFIG_RULES[key].nullable);
+            if (error) errors.push(error);
+        }
+        
+        for (const [service, overrides] of Object.entries(services)) {
+            if (!SERVICES.includes(service)) {
+                errors.push(`未知的服务: ${service}（可选: ${SERVICES.join(', ')}）`);
+                continue;
+            }
+            if (!isPlainObject(overrides)) {
+                errors.push(`${service} 的覆盖值应为对象`);
+                continue;
+            }
+            for (const [key, value] of Object.entries(overrides)) {
+                if (!SERVICE_OVERRIDE_KEYS.includes(key)) {
+                    errors.push(`${service}.${key} 不能按服务覆盖（可选: ${SERVICE_OVERRIDE_KEYS.join(', ')}）`);
+                    continue;
+                }
+                const error = validateThreshold(key, value, true);
+                if (error) errors.push(`${service}.${error}`);
+            }
+        }
+        
+        if (errors.length === 0 && ('MAX_TASK_TOKENS' in config || 'MAX_DAILY_TOKENS' in config)) {
+            const merged = { ...this.config, ...config };
+            if (merged.MAX_TASK_TOKENS > merged.MAX_DAILY_TOKENS) {
+                errors.push(`MAX_TASK_TOKENS (${merged.MAX_TASK_TOKENS}) 不能大于 MAX_DAILY_TOKENS (${merged.MAX_DAILY_TOKENS})`);
+            }
+        }
+        return errors;
+    }
+    
+    /**
+     * 应用已校验的配置修改，返回变更列表 [{ scope, key, from, to }]
+     */
+    applyConfig({ config = {}, services = {} }) {
+        const changes = [];
+        for (const [key, value] of Object.entries(config)) {
+            this.runtimeConfig[key] = value;
+            if (this.config[key] === value) continue;
+            changes.push({ scope: 'global', key, from: this.config[key] ?? null, to: value });
+            this.config[key] = value;
+        }
+        
+        for (const [service, overrides] of Object.entries(services)) {
+            for (const [key, value] of Object.entries(overrides)) {
+                const current = this.serviceOverrides[service]?.[key] ?? null;
+                if (current === value) continue;
+                changes.push({ scope: service, key, from: current, to: value });
+                if (value === null) {
+                    delete this.serviceOverrides[service][key];
+                    if (Object.keys(this.serviceOverrides[service]).length === 0) delete this.serviceOverrides[service];
+                } else {
+                    this.serviceOverrides[service] = { ...this.serviceOverrides[service], [key]: value };
+                }
+            }
+        }
+        return changes;
+    }
+    
+    /**
+     * 运行时修改阈值：校验、立即生效、保存到 settings 并记录审计事件
+     */
+    async updateConfig(update = {}, { actor = null, reason = '' } = {}) {
+        const errors = this.validateConfigUpdate(update);
+        if (errors.length > 0) {
+            throw new CircuitConfigError(`无效的熔断配置: ${errors.join('; ')}`, errors);
+        }
+        
+        const changes = this.applyConfig(update);
+        if (changes.length === 0) return { changes, ...this.describeConfig() };
+        
+        this.configUpdatedAt = new Date().toISOString();
+        this.configUpdatedBy = actor;
+        if (this.store) {
+            await this.store.setSetting(CONFIG_SETTING_KEY, {
+                config: this.runtimeConfig,
+                services: this.serviceOverrides,
+                updatedAt: this.configUpdatedAt,
+                updatedBy: actor
+            });
+            await this.store.recordCircuitBreakerEvent({
+                service: 'admin',
+                action: 'update_config',
+                eventType: 'CONFIG_UPDATED',
+                changes,
+                actor,
+                reason: String(reason || ''),
+                threshold: { ...this.config, services: this.serviceOverrides },
+                resolved: true
+            });
+        }
+        
+        console.log(`[熔断器] 配置已更新（${actor || '-'}）: ${changes.map(c => `${c.scope === 'global' ? '' : `${c.scope}.`}${c.key} ${c.from} → ${c.to}`).join(', ')}`);
+        this.emit('config_updated', { changes, actor });
+        return { changes, ...this.describeConfig() };
+    }
+    
+    describeConfig() {
+        const pick = config => Object.fromEntries(SERVICE_OVERRIDE_KEYS.map(key => [key, config[key] ?? null]));
+        return {
+            config: { ...this.config },
+            services: JSON.parse(JSON.stringify(this.serviceOverrides)),
+            effective: Object.fromEntries(SERVICES.map(service => [service, pick(this.getConfig(service))])),
+            tunable: { global: Object.keys(CONFIG_RULES), services: SERVICE_OVERRIDE_KEYS },
+            updatedAt: this.configUpdatedAt,
+            updatedBy: this.configUpdatedBy
+        };
+    }
+    
+    /**
+     * 检查费用上限，超出时返回 { status, reason }
+     */
+    checkBudget(estimatedCost, feedbackId, limits = this.config) {
+        const budgets = [
+            ['MAX_DAILY_COST', this.usage.dailyCost, 'DAILY_COST_LIMIT', '每日'],
+            ['MAX_MONTHLY_COST', this.usage.monthlyCost, 'MONTHLY_COST_LIMIT', '每月'],
+            ['MAX_FEEDBACK_COST', feedbackId ? this.getFeedbackSpend(feedbackId) : null, 'FEEDBACK_COST_LIMIT', '单个反馈']
+        ];
+        for (const [key, spent, status, label] of budgets) {
+            const limit = limits[key];
+            if (limit === null || limit === undefined || spent === null) continue;
+            if (spent >= limit || spent + estimatedCost > limit) {
+                return { status, reason: `${label}费用限额已用完 (${spent}/${limit} ${this.pricing.currency})` };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 预占token、费用与并发任务名额
+     */
+    reserve(service, action, tokens, taskId, now = Date.now(), { cost = 0, model = null, feedbackId = null } = {}) {
+        const reservation = {
+            id: `rsv_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            service,
+            action,
+            taskId: taskId || null,
+            feedbackId: feedbackId || null,
+            model,
+            tokens,
+            cost,
+            settled: false,
+            createdAt: now
+        };
+        this.usage.dailyTokens += tokens;
+        this.addCost(reservation.feedbackId, cost);
+        this.usage.reservations.set(reservation.id, reservation);
+        
+        if (taskId) {
+            if (!this.usage.tasks.has(taskId)) {
+                this.usage.concurrentTasks++;
+                this.usage.tasks.set(taskId, { tokens: 0, holds: 0, status: 'running', createdAt: now });
+            }
             const task = this.usage.tasks.get(taskId);
-            const tokenDiff = actualTokens - task.tokens;
-            this.usage.dailyTokens = Math.max(0, this.usage.dailyTokens + tokenDiff);
-            this.usage.tasks.delete(taskId);
-            this.usage.concurrentTasks = Math.max(0, this.usage.concurrentTasks - 1);
-            this.emit('task_released', { taskId, actualTokens });
+            task.tokens += tokens;
+            task.holds++;
         }
+        return reservation;
+    }
+    
+    /**
+     * 按实际用量结算预占，重复结算无效
+     * actualCost 省略时按价格表估算
+     */
+    settle(reservation, actualTokens, actualCost) {
+        if (!reservation || reservation.settled) return;
+        const tokenDiff = actualTokens - reservation.tokens;
+        this.usage.dailyTokens = Math.max(0, this.usage.dailyTokens + tokenDiff);
+        const task = reservation.taskId && this.usage.tasks.get(reservation.taskId);
+        if (task) task.tokens = Math.max(0, task.tokens + tokenDiff);
+        
+        const cost = actualCost ?? this.pricing.estimate(reservation.model, actualTokens);
+        this.addCost(reservation.feedbackId, cost - reservation.cost);
+        
+        reservation.tokens = actualTokens;
+        reservation.cost = cost;
+        reservation.settled = true;
+        this.scheduleSave();
+    }
+    
+    /**
+     * 退还未使用的预占
+     */
+    refund(reservation) {
+        this.settle(reservation, 0, 0);
+    }
+    
+    /**
+     * 累计费用（amount 为负数时退还）
+     */
+    addCost(feedbackId, amount) {
+        if (!amount) return;
+        this.usage.dailyCost = Math.max(0, roundCost(this.usage.dailyCost + amount));
+        this.usage.monthlyCost = Math.max(0, roundCost(this.usage.monthlyCost + amount));
+        if (!feedbackId) return;
+        
+        const costs = this.usage.feedbackCosts;
+        if (!costs.has(feedbackId) && costs.size >= MAX_TRACKED_FEEDBACK) {
+            costs.delete(costs.keys().next().value);
+        }
+        costs.set(feedbackId, Math.max(0, roundCost((costs.get(feedbackId) || 0) + amount)));
+    }
+    
+    getFeedbackSpend(feedbackId) {
+        return this.usage.feedbackCosts.get(feedbackId) || 0;
+    }
+    
+    /**
+     * 查找未释放的预占，不存在或已释放时返回 null
+     */
+    getReservation(id) {
+        return this.usage.reservations.get(id) || null;
+    }
+    
+    /**
+     * 释放预占资源
+     * target 为 check 返回的 reservation：传入 actualTokens 时先结算，否则退还未结算的预占
+     * target 为 taskId（HTTP 接口）：释放该任务的全部预占，actualTokens 为未结算部分的实际用量
+     * actualTokens 转为非负数：字符串不会拼接进计数，负数不能退还额度
+     */
+    async release(target, actualTokens) {
+        if (!target) return;
+        const tokens = actualTokens === undefined ? undefined : Math.max(0, Number(actualTokens) || 0);
+        
+        if (typeof target === 'object') {
+            if (!this.usage.reservations.has(target.id)) return;
+            if (tokens !== undefined) this.settle(target, tokens);
+            else this.refund(target);
+            this.usage.reservations.delete(target.id);
+            this.completeProbe(target);
+            
+            const task = target.taskId && this.usage.tasks.get(target.taskId);
+            if (task && --task.holds <= 0) this.releaseTask(target.taskId, task.tokens);
+            return;
+        }
+        
+        if (!this.usage.tasks.has(target)) return;
+        const open = [...this.usage.reservations.values()].filter(r => r.taskId === target);
+        open.forEach(r => {
+            this.refund(r);
+            this.usage.reservations.delete(r.id);
+            this.completeProbe(r);
+        });
+        const used = tokens || 0;
+        this.usage.dailyTokens += used;
+        const last = open[open.length - 1];
+        if (last) this.addCost(last.feedbackId, this.pricing.estimate(last.model, used));
+        this.releaseTask(target, used);
+    }
+    
+    releaseTask(taskId, actualTokens) {
+        this.usage.tasks.delete(taskId);
+        this.usage.concurrentTasks = Math.max(0, this.usage.concurrentTasks - 1);
+        this.emit('task_released', { taskId, actualTokens });
+        this.scheduleSave();
     }
     
     /**
@@ -178,104 +601,396 @@ class CircuitBreakerManager extends EventEmitter {
         if (this.events.length > 1000) {
             this.events = this.events.slice(0, 1000);
         }
+        this.scheduleSave();
         
         if (status !== 'ALLOWED') {
             this.emit('circuit_event', event);
-            const recentFailures = this.events
-                .filter(e => e.status !== 'ALLOWED' && Date.now() - new Date(e.timestamp).getTime() < 60000)
-                .length;
-            if (recentFailures >= 5) {
-                this.openCircuit();
-            }
         }
+        if (!NON_FAILURE_STATUSES.includes(status)) {
+            this.onFailure(service, status);
+        }
+    }
+    
+    getCircuit(service) {
+        if (!this.circuits.has(service)) {
+            this.circuits.set(service, { state: 'CLOSED', failures: [], openedAt: null, nextAttemptAt: null, probes: 0, incident: [] });
+        }
+        return this.circuits.get(service);
     }
     
     /**
-     * 打开熔断器
+     * 报告调用失败，target 为 check 返回的 reservation 或服务名
+     * 同一预占只计一次；半开时的探测失败立即重新打开
      */
-    openCircuit() {
-        if (!this.circuitState.isOpen) {
-            this.circuitState.isOpen = true;
-            this.circuitState.lastOpenTime = Date.now();
-            this.circuitState.nextAllowedTime = Date.now() + this.config.HALF_OPEN_TEST_INTERVAL;
-            this.emit('circuit_opened', { reason: '连续失败触发熔断' });
-            console.warn('[熔断器] 已打开，10分钟后尝试恢复');
+    recordFailure(target, error = null) {
+        if (!target) return;
+        const reservation = typeof target === 'object' ? target : null;
+        if (reservation) {
+            if (reservation.failed) return;
+            reservation.failed = true;
+        }
+        this.onFailure(reservation ? reservation.service : target, error?.message || error || '调用失败');
+    }
+    
+    onFailure(service, reason, now = Date.now()) {
+        const circuit = this.getCircuit(service);
+        const limits = this.getConfig(service);
+        if (circuit.state === 'HALF_OPEN') {
+            this.transition(service, 'OPEN', `探测失败: ${reason}`, now);
+            return;
         }
+        if (circuit.state === 'OPEN') return;
+        
+        circuit.failures = circuit.failures.filter(t => now - t < limits.FAILURE_WINDOW_MS);
+        circuit.failures.push(now);
+        if (circuit.failures.length >= limits.FAILURE_THRESHOLD) {
+            this.transition(service, 'OPEN', `${limits.FAILURE_WINDOW_MS / 1000}秒内失败${circuit.failures.length}次，最近一次: ${reason}`, now);
+        }
+        this.scheduleSave();
     }
     
     /**
-     * 获取重试次数
+     * 探测调用结束：未报告失败时关闭熔断
      */
-    getRetryCount(taskId) {
-        if (taskId && this.usage.tasks.has(taskId)) {
-            return this.usage.tasks.get(taskId).retries;
+    completeProbe(reservation) {
+        if (!reservation.probe) return;
+        reservation.probe = false;
+        const circuit = this.getCircuit(reservation.service);
+        circuit.probes = Math.max(0, circuit.probes - 1);
+        if (!reservation.failed && circuit.state === 'HALF_OPEN') {
+            this.transition(reservation.service, 'CLOSED', '探测调用成功');
         }
-        return 0;
     }
     
     /**
-     * 增加重试次数
+     * 切换熔断状态，并记录为熔断事件
      */
-    incrementRetry(taskId) {
-        if (taskId && this.usage.tasks.has(taskId)) {
-            const task = this.usage.tasks.get(taskId);
-            task.retries++;
-            if (task.retries >= this.config.MAX_RETRIES) {
-                this.recordEvent('agent', 'retry', 'MAX_RETRIES_EXCEEDED', 0, taskId);
-                return false;
-            }
+    transition(service, to, reason, now = Date.now()) {
+        const circuit = this.getCircuit(service);
+        const from = circuit.state;
+        if (from === to) return;
+        
+        const limits = this.getConfig(service);
+        circuit.state = to;
+        circuit.probes = 0;
+        if (to === 'OPEN') {
+            circuit.openedAt = now;
+            circuit.nextAttemptAt = now + limits.HALF_OPEN_TEST_INTERVAL;
+        } else if (to === 'CLOSED') {
+            circuit.failures = [];
+            circuit.openedAt = null;
+            circuit.nextAttemptAt = null;
+        }
+        
+        const { eventType, emit } = TRANSITION_EVENTS[to];
+        this.emit(emit, { service, from, to, reason });
+        const message = `[熔断器] ${service}: ${from} → ${to}（${reason}）`;
+        if (to === 'OPEN') {
+            console.warn(`${message}，${Math.round(limits.HALF_OPEN_TEST_INTERVAL / 1000)}秒后尝试恢复`);
+        } else {
+            console.log(message);
+        }
+        
+        const event = {
+            service,
+            action: 'state_transition',
+            eventType,
+            from,
+            to,
+            reason,
+            currentUsage: { dailyTokens: this.usage.dailyTokens, concurrentTasks: this.usage.concurrentTasks },
+            threshold: {
+                FAILURE_THRESHOLD: limits.FAILURE_THRESHOLD,
+                FAILURE_WINDOW_MS: limits.FAILURE_WINDOW_MS,
+                HALF_OPEN_TEST_INTERVAL: limits.HALF_OPEN_TEST_INTERVAL,
+                HALF_OPEN_MAX_PROBES: limits.HALF_OPEN_MAX_PROBES
+            },
+            resolved: to === 'CLOSED',
+            resolution: to === 'CLOSED' ? reason : null
+        };
+        this.transitionWrites = this.transitionWrites
+            .then(() => this.recordTransition(circuit, event))
+            .catch(e => console.error('[熔断器] 记录状态切换失败:', e.message));
+        this.scheduleSave();
+    }
+    
+    /**
+     * 写入状态切换事件；关闭时把本次熔断期间的事件标记为已解决
+     */
+    async recordTransition(circuit, event) {
+        if (!this.store) return;
+        const item = await this.store.recordCircuitBreakerEvent(event);
+        if (event.to !== 'CLOSED') {
+            circuit.incident.push(item.id);
+            this.scheduleSave();
+            return;
+        }
+        for (const id of circuit.incident.splice(0)) {
+            await this.store.resolveCircuitBreakerEvent(id, event.resolution);
+        }
+        this.scheduleSave();
+    }
+    
+    /**
+     * 各服务的熔断状态
+     */
+    getCircuitStates(now = Date.now()) {
+        return Object.fromEntries([...this.circuits].map(([service, circuit]) => {
+            const window = this.getConfig(service).FAILURE_WINDOW_MS;
+            return [service, {
+                state: circuit.state,
+                recentFailures: circuit.failures.filter(t => now - t < window).length,
+                openedAt: circuit.openedAt,
+                nextAttemptAt: circuit.nextAttemptAt,
+                probes: circuit.probes
+            }];
+        }));
+    }
+    
+    /**
+     * 获取重试次数
+     */
+    getRetryCount(feedbackId) {
+        return this.usage.retries.get(feedbackId) || 0;
+    }
+    
+    /**
+     * 增加重试次数，达到 MAX_RETRIES 时返回 false
+     * 按反馈ID计数：同一反馈的多次尝试使用不同的子任务ID
+     */
+    incrementRetry(feedbackId) {
+        if (!feedbackId) return true;
+        const retries = this.getRetryCount(feedbackId) + 1;
+        this.usage.retries.set(feedbackId, retries);
+        this.scheduleSave();
+        if (retries >= this.config.MAX_RETRIES) {
+            this.recordEvent('agent', 'retry', 'MAX_RETRIES_EXCEEDED', 0, feedbackId);
+            return false;
         }
         return true;
     }
     
+    /**
+     * 反馈处理结束后清除重试计数
+     * 从审核检查点恢复时传入之前测试失败的次数
+     */
+    resetRetries(feedbackId, count = 0) {
+        if (count > 0) {
+            this.usage.retries.set(feedbackId, count);
+        } else {
+            this.usage.retries.delete(feedbackId);
+        }
+        this.scheduleSave();
+    }
+    
     /**
      * 获取当前状态
      */
     getStatus() {
         return {
             config: this.config,
+            services: this.serviceOverrides,
             usage: {
                 dailyTokens: this.usage.dailyTokens,
                 dailyTokenReset: this.usage.dailyTokenReset,
                 concurrentTasks: this.usage.concurrentTasks,
-                activeTasks: this.usage.tasks.size
+                activeTasks: this.usage.tasks.size,
+                openReservations: this.usage.reservations.size,
+                reservedTokens: [...this.usage.reservations.values()].filter(r => !r.settled).reduce((sum, r) => sum + r.tokens, 0)
             },
+            spend: this.getSpend(),
+            pricing: this.pricing.toJSON(),
             circuit: {
-                isOpen: this.circuitState.isOpen,
-                lastOpenTime: this.circuitState.lastOpenTime,
-                nextAllowedTime: this.circuitState.nextAllowedTime
+                isOpen: [...this.circuits.values()].some(c => c.state !== 'CLOSED'),
+                services: this.getCircuitStates()
             },
             recentEvents: this.events.slice(0, 20)
         };
     }
     
+    /**
+     * 费用统计：今日与本月已用费用、剩余额度，以及按当前消耗速度预测的全天/全月费用
+     * 消耗速度按窗口内的平均值计算，窗口开始不足1小时按1小时计
+     */
+    getSpend(now = Date.now()) {
+        const budget = (spent, limit) => ({
+            spent,
+            limit: limit ?? null,
+            remaining: limit === null || limit === undefined ? null : roundCost(Math.max(0, limit - spent))
+        });
+        const dayStart = this.usage.dailyTokenReset - this.config.TOKEN_WINDOW_MS;
+        const monthStart = startOfMonth(now);
+        const monthEnd = startOfMonth(now, 1);
+        
+        const dailyRate = this.usage.dailyCost / Math.max(now - dayStart, HOUR_MS);
+        const monthlyRate = this.usage.monthlyCost / Math.max(now - monthStart, HOUR_MS);
+        const projectedDaily = roundCost(this.usage.dailyCost + dailyRate * Math.max(0, this.usage.dailyTokenReset - now));
+        const projectedMonthly = roundCost(this.usage.monthlyCost + monthlyRate * Math.max(0, monthEnd - now));
+        
+        return {
+            currency: this.pricing.currency,
+            daily: { ...budget(this.usage.dailyCost, this.config.MAX_DAILY_COST), resetAt: this.usage.dailyTokenReset },
+            monthly: { ...budget(this.usage.monthlyCost, this.config.MAX_MONTHLY_COST), resetAt: this.usage.monthlyCostReset },
+            feedback: { limit: this.config.MAX_FEEDBACK_COST ?? null, tracked: this.usage.feedbackCosts.size },
+            burnRate: {
+                perHour: roundCost(dailyRate * HOUR_MS),
+                projectedDaily,
+                projectedMonthly,
+                exceedsDailyLimit: this.config.MAX_DAILY_COST != null && projectedDaily > this.config.MAX_DAILY_COST,
+                exceedsMonthlyLimit: this.config.MAX_MONTHLY_COST != null && projectedMonthly > this.config.MAX_MONTHLY_COST
+            }
+        };
+    }
+    
+    /**
+     * 按时钟切换统计窗口
+     * 跨过多个窗口时（如停机期间）仍对齐到原窗口边界
+     */
+    rollover(now = Date.now()) {
+        let changed = false;
+        if (now >= this.usage.dailyTokenReset) {
+            const windows = Math.floor((now - this.usage.dailyTokenReset) / this.config.TOKEN_WINDOW_MS) + 1;
+            this.usage.dailyTokens = 0;
+            this.usage.dailyCost = 0;
+            this.usage.dailyTokenReset += windows * this.config.TOKEN_WINDOW_MS;
+            console.log('[熔断器] 每日token计数已重置');
+            this.emit('daily_reset');
+            changed = true;
+        }
+        if (now >= this.usage.monthlyCostReset) {
+            this.usage.monthlyCost = 0;
+            this.usage.monthlyCostReset = startOfMonth(now, 1);
+            console.log('[熔断器] 每月费用已重置');
+            this.emit('monthly_reset');
+            changed = true;
+        }
+        if (changed) this.scheduleSave();
+        return changed;
+    }
+    
+    /**
+     * 状态快照，不含未结算的预占
+     */
+    snapshot() {
+        const pending = [...this.usage.reservations.values()].filter(r => !r.settled);
+        const sum = (list, field) => list.reduce((total, r) => total + r[field], 0);
+        const feedbackCosts = new Map(this.usage.feedbackCosts);
+        pending.filter(r => r.feedbackId && feedbackCosts.has(r.feedbackId)).forEach(r => {
+            feedbackCosts.set(r.feedbackId, Math.max(0, roundCost(feedbackCosts.get(r.feedbackId) - r.cost)));
+        });
+        
+        return {
+            usage: {
+                dailyTokens: Math.max(0, this.usage.dailyTokens - sum(pending, 'tokens')),
+                dailyTokenReset: this.usage.dailyTokenReset,
+                dailyCost: Math.max(0, roundCost(this.usage.dailyCost - sum(pending, 'cost'))),
+                monthlyCost: Math.max(0, roundCost(this.usage.monthlyCost - sum(pending, 'cost'))),
+                monthlyCostReset: this.usage.monthlyCostReset,
+                feedbackCosts: [...feedbackCosts],
+                retries: [...this.usage.retries]
+            },
+            // 进行中的探测不保存，恢复后重新计数
+            circuits: [...this.circuits].map(([service, c]) => [service, {
+                state: c.state,
+                failures: c.failures,
+                openedAt: c.openedAt,
+                nextAttemptAt: c.nextAttemptAt,
+                incident: c.incident
+            }]),
+            events: this.events.slice(0, PERSISTED_EVENTS)
+        };
+    }
+    
+    /**
+     * 从数据库恢复状态并开启持久化，返回是否存在快照
+     */
+    async restore(now = Date.now()) {
+        if (!this.store) return false;
+        
+        // 运行时配置：无效的保存值整体忽略
+        const saved = await this.store.getSetting(CONFIG_SETTING_KEY);
+        if (saved) {
+            const update = { config: saved.config || {}, services: saved.services || {} };
+            const errors = this.validateConfigUpdate(update);
+            if (errors.length > 0) {
+                console.warn(`[熔断器] 忽略无效的已保存配置: ${errors.join('; ')}`);
+            } else {
+                this.applyConfig(update);
+                this.configUpdatedAt = saved.updatedAt || null;
+                this.configUpdatedBy = saved.updatedBy || null;
+            }
+        }
+        
+        const state = await this.store.getCircuitBreakerState();
+        this.persistent = true;
+        if (!state) return false;
+        
+        const { usage = {}, circuits = [], events = [] } = state;
+        Object.assign(this.usage, {
+            dailyTokens: usage.dailyTokens || 0,
+            dailyTokenReset: usage.dailyTokenReset || now + this.config.TOKEN_WINDOW_MS,
+            dailyCost: usage.dailyCost || 0,
+            monthlyCost: usage.monthlyCost || 0,
+            monthlyCostReset: usage.monthlyCostReset || startOfMonth(now, 1),
+            feedbackCosts: new Map(usage.feedbackCosts || []),
+            retries: new Map(usage.retries || [])
+        });
+        this.circuits = new Map(circuits
+            .filter(([, c]) => CIRCUIT_STATES.includes(c.state))
+            .map(([service, c]) => [service, { failures: [], openedAt: null, nextAttemptAt: null, incident: [], ...c, probes: 0 }]));
+        this.events = [...events];
+        this.rollover(now);
+        
+        const open = [...this.circuits].filter(([, c]) => c.state !== 'CLOSED').map(([service, c]) => `${service}(${c.state})`);
+        console.log(`[熔断器] 已恢复状态（保存于 ${state.savedAt || '-'}）: 今日 ${this.usage.dailyTokens} tokens，熔断${open.length > 0 ? `未关闭: ${open.join(', ')}` : '全部关闭'}`);
+        return true;
+    }
+    
+    scheduleSave() {
+        if (!this.persistent || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(e => console.error('[熔断器] 保存状态失败:', e.message));
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+    
+    async save() {
+        if (!this.store) return null;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this.store.saveCircuitBreakerState(this.snapshot());
+    }
+    
     /**
      * 清理定时器
      */
     startCleanupTimer() {
-        setInterval(() => {
+        const timer = setInterval(() => {
             const now = Date.now();
-            if (now >= this.usage.dailyTokenReset) {
-                this.usage.dailyTokens = 0;
-                this.usage.dailyTokenReset = now + this.config.TOKEN_WINDOW_MS;
-                console.log('[熔断器] 每日token计数已重置');
-                this.emit('daily_reset');
-            }
-            for (const [taskId, task] of this.usage.tasks) {
-                if (now - task.createdAt > 60 * 60 * 1000) {
-                    this.usage.tasks.delete(taskId);
-                    this.usage.concurrentTasks = Math.max(0, this.usage.concurrentTasks - 1);
+            this.rollover(now);
+            for (const reservation of [...this.usage.reservations.values()]) {
+                if (now - reservation.createdAt > RESERVATION_TTL_MS) {
+                    console.warn(`[熔断器] 预占超时未释放，已退还: ${reservation.service}/${reservation.action} ${reservation.taskId || ''}`);
+                    this.recordFailure(reservation, '预占超时未释放');
+                    this.release(reservation);
                 }
             }
         }, 60000);
+        // 不阻止进程退出
+        timer.unref();
     }
 }
 
 // 导出单例
-const circuitBreaker = new CircuitBreakerManager();
+const circuitBreaker = new CircuitBreakerManager(configFromEnv(), { store: database });
 
 module.exports = {
     circuitBreaker,
     CircuitBreakerManager,
-    DEFAULT_CONFIG
+    CircuitConfigError,
+    CIRCUIT_STATES,
+    DEFAULT_CONFIG,
+    SERVICES,
+    configFromEnv
 };
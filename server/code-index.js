@@ -0,0 +1,192 @@
+/**
+ * 代码库索引
+ * 为 SolutionGenerator 提供代码库上下文：文件列表、符号列表与 BM25 代码段检索
+ *
+ * 只索引文件修改策略允许的文件（见 file-policy.js），保证检索到的代码段都可以被修改
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FilePolicy } = require('./file-policy');
+
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+const MAX_INDEXED_FILES = 500;
+
+// BM25 参数
+const K1 = 1.2;
+const B = 0.75;
+
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+const STOPWORDS = new Set([
+    'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'this', 'new',
+    'true', 'false', 'null', 'undefined', 'async', 'await', 'the', 'and', 'or', 'of', 'to', 'in',
+    'is', 'it', 'div', 'class', 'id', 'px', 'js'
+]);
+
+/**
+ * 分词：拆分驼峰/下划线标识符，中文按二元组切分
+ */
+function tokenize(text) {
+    const tokens = [];
+
+    for (const word of String(text).match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || []) {
+        const parts = word
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[_$\s]+/)
+            .map(p => p.toLowerCase())
+            .filter(p => p.length >= 2 && !STOPWORDS.has(p));
+        tokens.push(...parts);
+        if (parts.length > 1) tokens.push(word.toLowerCase());
+    }
+
+    for (const seq of String(text).match(/[\u4e00-\u9fff]+/g) || []) {
+        if (seq.length === 1) {
+            tokens.push(seq);
+        } else {
+            for (let i = 0; i < seq.length - 1; i++) tokens.push(seq.substr(i, 2));
+        }
+    }
+
+    return tokens;
+}
+
+// 提取函数、类、方法与 HTML id 作为符号
+const SYMBOL_PATTERNS = [
+    /\bfunction\s+([A-Za-z_$][\w$]*)/g,
+    /\bclass\s+([A-Za-z_$][\w$]*)/g,
+    /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/g,
+    /^\s+(?:async\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/gm,
+    /\bid=["']([^"']+)["']/g
+];
+
+const NOT_SYMBOLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return']);
+
+function extractSymbols(content) {
+    const symbols = new Set();
+    for (const pattern of SYMBOL_PATTERNS) {
+        for (const match of content.matchAll(pattern)) {
+            if (!NOT_SYMBOLS.has(match[1])) symbols.add(match[1]);
+        }
+    }
+    return [...symbols];
+}
+
+class CodeIndex {
+    constructor(rootDir, { policy = FilePolicy.fromEnv(), chunkLines = CHUNK_LINES } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.policy = policy;
+        this.chunkLines = chunkLines;
+        this.files = [];
+        this.chunks = [];
+        this.docFreq = new Map();
+        this.avgLength = 0;
+    }
+
+    static build(rootDir, options) {
+        return new CodeIndex(rootDir, options).build();
+    }
+
+    listFiles() {
+        const result = [];
+        const walk = (dir) => {
+            if (result.length >= MAX_INDEXED_FILES || !fs.existsSync(dir)) return;
+            const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+            for (const entry of entries) {
+                if (entry.isSymbolicLink()) continue;
+                const absolute = path.join(dir, entry.name);
+                const relative = path.relative(this.rootDir, absolute).split(path.sep).join('/');
+                if (entry.isDirectory()) {
+                    if (!SKIP_DIRS.has(entry.name)) walk(absolute);
+                } else if (entry.isFile() && !this.policy.matchRules(relative)) {
+                    if (fs.statSync(absolute).size <= this.policy.maxFileBytes) result.push(relative);
+                }
+                if (result.length >= MAX_INDEXED_FILES) return;
+            }
+        };
+        walk(this.rootDir);
+        return result;
+    }
+
+    build() {
+        this.files = [];
+        this.chunks = [];
+        this.docFreq = new Map();
+
+        for (const file of this.listFiles()) {
+            const content = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+            const lines = content.split('\n');
+            this.files.push({ file, lines: lines.length, symbols: extractSymbols(content) });
+
+            const step = this.chunkLines - CHUNK_OVERLAP;
+            for (let start = 0; start < lines.length; start += step) {
+                const text = lines.slice(start, start + this.chunkLines).join('\n');
+                // 文件名也参与检索
+                const tokens = tokenize(`${file} ${text}`);
+                const termFreq = new Map();
+                tokens.forEach(t => termFreq.set(t, (termFreq.get(t) || 0) + 1));
+                termFreq.forEach((_, t) => this.docFreq.set(t, (this.docFreq.get(t) || 0) + 1));
+
+                this.chunks.push({ file, startLine: start + 1, endLine: Math.min(start + this.chunkLines, lines.length), text, termFreq, length: tokens.length });
+                if (start + this.chunkLines >= lines.length) break;
+            }
+        }
+
+        this.avgLength = this.chunks.length > 0
+            ? this.chunks.reduce((sum, c) => sum + c.length, 0) / this.chunks.length
+            : 0;
+        return this;
+    }
+
+    /**
+     * BM25 检索，返回得分最高的代码段
+     */
+    search(query, { limit = 5 } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        const total = this.chunks.length;
+
+        return this.chunks
+            .map(chunk => {
+                let score = 0;
+                for (const term of terms) {
+                    const tf = chunk.termFreq.get(term);
+                    if (!tf) continue;
+                    const df = this.docFreq.get(term);
+                    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                    score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / (this.avgLength || 1)));
+                }
+                return { chunk, score };
+            })
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ chunk, score }) => ({
+                file: chunk.file,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                score: Number(score.toFixed(3)),
+                content: chunk.text
+            }));
+    }
+
+    hasFile(file) {
+        return this.files.some(f => f.file === file);
+    }
+
+    /**
+     * 文件列表（附带符号），供提示词使用
+     */
+    describeFiles({ maxSymbols = 8 } = {}) {
+        return this.files.map(f => {
+            const symbols = f.symbols.slice(0, maxSymbols);
+            return symbols.length > 0 ? `${f.file} (${f.lines}行): ${symbols.join(', ')}` : `${f.file} (${f.lines}行)`;
+        }).join('\n');
+    }
+}
+
+module.exports = {
+    CodeIndex,
+    tokenize,
+    extractSymbols
+};
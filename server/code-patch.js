@@ -0,0 +1,459 @@
+/**
+ * 代码补丁
+ * 把改进方案（solution）转换为对目标文件的精确修改
+ *
+ * 支持的 action：
+ * - replace：按锚点查找替换，edits 为 [{ search, replace }]，search 必须在文件中唯一出现
+ * - patch：统一 diff（diff 字段），每个 hunk 的上下文必须与文件完全一致
+ * - insert：在文件末尾追加 codeBlock；提供 anchor 时插入到锚点之后
+ * - create：新建文件，文件已存在时拒绝
+ * - delete：删除文件
+ *
+ * 任一 hunk 不匹配时整体拒绝，不做部分修改
+ *
+ * 方案格式：{ description, changes: [{ file, action, ...参数 }] }，多个文件作为一个整体应用；
+ * 旧的单文件格式 { file, action, ... } 视为只有一项的 changes
+ *
+ * 另提供修改计划到统一 diff 的渲染（供人工审核），以及把审核者编辑后的多文件 diff 转回 changes
+ */
+
+class PatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatchError';
+    }
+}
+
+// 拆分为行，记录是否以换行结尾
+function splitLines(content) {
+    if (content === '') return { lines: [], trailingNewline: false };
+    const lines = content.split('\n');
+    const trailingNewline = lines[lines.length - 1] === '';
+    if (trailingNewline) lines.pop();
+    return { lines, trailingNewline };
+}
+
+function joinLines(lines, trailingNewline) {
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+function lineNumberAt(content, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (content[i] === '\n') line++;
+    }
+    return line;
+}
+
+// 查找唯一出现的位置，未找到或出现多次时抛出
+function findUnique(content, search, label) {
+    const first = content.indexOf(search);
+    if (first === -1) {
+        throw new PatchError(`${label} 与文件内容不匹配`);
+    }
+    if (content.indexOf(search, first + 1) !== -1) {
+        throw new PatchError(`${label} 在文件中出现多次，无法定位`);
+    }
+    return first;
+}
+
+/**
+ * 解析单文件统一 diff
+ * 返回 { file, hunks: [{ oldStart, oldLines, newLines, changeOffset, removed, added }] }
+ * changeOffset 为首个变更行在 oldLines 中的位置
+ */
+function parseUnifiedDiff(diff) {
+    const hunks = [];
+    let file = null;
+    let current = null;
+
+    for (const line of String(diff).replace(/\r\n/g, '\n').split('\n')) {
+        if (line.startsWith('+++ ')) {
+            file = line.slice(4).trim().replace(/^b\//, '');
+            continue;
+        }
+        if (line.startsWith('--- ') || line.startsWith('diff ') || line.startsWith('index ')) continue;
+
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (header) {
+            current = { oldStart: Number(header[1]), oldCount: header[2] === undefined ? 1 : Number(header[2]), oldLines: [], newLines: [], changeOffset: null, removed: [], added: [] };
+            hunks.push(current);
+            continue;
+        }
+        if (!current || line.startsWith('\\')) continue;
+
+        const marker = line[0];
+        const text = line.slice(1);
+        if (marker === ' ') {
+            current.oldLines.push(text);
+            current.newLines.push(text);
+        } else if (marker === '-' || marker === '+') {
+            if (current.changeOffset === null) current.changeOffset = current.oldLines.length;
+            if (marker === '-') {
+                current.oldLines.push(text);
+                current.removed.push(text);
+            } else {
+                current.newLines.push(text);
+                current.added.push(text);
+            }
+        } else if (line === '') {
+            // 部分工具会去掉空上下文行的前导空格
+            current.oldLines.push('');
+            current.newLines.push('');
+        } else {
+            throw new PatchError(`无法解析的 diff 行: ${line}`);
+        }
+    }
+
+    if (hunks.length === 0) throw new PatchError('diff 中没有 hunk');
+
+    hunks.forEach((hunk, i) => {
+        // 结尾的空行可能是 diff 文本末尾的换行
+        while (hunk.oldLines.length > hunk.oldCount && hunk.oldLines[hunk.oldLines.length - 1] === '' && hunk.newLines[hunk.newLines.length - 1] === '') {
+            hunk.oldLines.pop();
+            hunk.newLines.pop();
+        }
+        if (hunk.oldLines.length !== hunk.oldCount) {
+            throw new PatchError(`hunk ${i + 1} 行数与头部声明不一致`);
+        }
+    });
+
+    return { file, hunks };
+}
+
+// 把一次替换转为行级变更（行号基于原文件）
+function toLineChange(content, index, removedText, addedText) {
+    const line = lineNumberAt(content, index);
+    return { line, removed: splitLines(removedText).lines, added: splitLines(addedText).lines };
+}
+
+function planReplace(original, edits) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+        throw new PatchError('replace 需要提供 edits');
+    }
+
+    const located = edits.map((edit, i) => {
+        if (typeof edit?.search !== 'string' || edit.search === '') {
+            throw new PatchError(`edit ${i + 1} 缺少 search`);
+        }
+        const index = findUnique(original, edit.search, `edit ${i + 1} 的 search`);
+        return { index, end: index + edit.search.length, search: edit.search, replace: String(edit.replace ?? '') };
+    }).sort((a, b) => a.index - b.index);
+
+    for (let i = 1; i < located.length; i++) {
+        if (located[i].index < located[i - 1].end) {
+            throw new PatchError('edits 之间存在重叠');
+        }
+    }
+
+    let content = original;
+    for (const edit of [...located].reverse()) {
+        content = content.slice(0, edit.index) + edit.replace + content.slice(edit.end);
+    }
+
+    return {
+        content,
+        changes: located.map(edit => toLineChange(original, edit.index, edit.search, edit.replace))
+    };
+}
+
+function planUnifiedDiff(original, diff, file) {
+    const parsed = parseUnifiedDiff(diff);
+    if (parsed.file && parsed.file !== '/dev/null' && file && parsed.file !== file) {
+        throw new PatchError(`diff 目标文件 ${parsed.file} 与 ${file} 不一致`);
+    }
+
+    const { lines, trailingNewline } = splitLines(original);
+    const result = [];
+    const changes = [];
+    let cursor = 0;
+
+    parsed.hunks.forEach((hunk, i) => {
+        // 纯新增的 hunk 起始行号指向插入位置之前的一行
+        const start = hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        if (start < cursor) {
+            throw new PatchError(`hunk ${i + 1} 与前一个 hunk 重叠`);
+        }
+
+        const actual = lines.slice(start, start + hunk.oldLines.length);
+        const matches = actual.length === hunk.oldLines.length && actual.every((l, j) => l === hunk.oldLines[j]);
+        if (!matches) {
+            throw new PatchError(`hunk ${i + 1} 的上下文与文件第${start + 1}行不匹配`);
+        }
+
+        result.push(...lines.slice(cursor, start), ...hunk.newLines);
+        cursor = start + hunk.oldLines.length;
+
+        if (hunk.changeOffset !== null) {
+            changes.push({ line: start + 1 + hunk.changeOffset, removed: hunk.removed, added: hunk.added });
+        }
+    });
+
+    result.push(...lines.slice(cursor));
+    return { content: joinLines(result, trailingNewline || lines.length === 0), changes };
+}
+
+function planInsert(original, codeBlock, anchor) {
+    if (typeof codeBlock !== 'string' || codeBlock === '') {
+        throw new PatchError('insert 需要提供 codeBlock');
+    }
+
+    if (anchor) {
+        const index = findUnique(original, anchor, 'anchor') + anchor.length;
+        const lineEnd = original.indexOf('\n', index);
+        const at = lineEnd === -1 ? original.length : lineEnd;
+        const content = `${original.slice(0, at)}\n${codeBlock}${original.slice(at)}`;
+        return { content, changes: [{ line: lineNumberAt(original, at) + 1, removed: [], added: splitLines(codeBlock).lines }] };
+    }
+
+    const separator = original === '' || original.endsWith('\n') ? '' : '\n';
+    const { lines } = splitLines(original);
+    return {
+        content: `${original}${separator}${codeBlock}\n`,
+        changes: [{ line: lines.length + 1, removed: [], added: splitLines(codeBlock).lines }]
+    };
+}
+
+/**
+ * 计算修改计划
+ * original 为 null 表示文件不存在
+ * 返回 { action, content（delete 时为 null）, changes: [{ line, removed, added }], linesAdded, linesRemoved }
+ */
+function planChange(original, solution) {
+    const action = solution.action;
+    const exists = original !== null && original !== undefined;
+    let plan;
+
+    switch (action) {
+        case 'create':
+            if (exists) throw new PatchError(`文件已存在: ${solution.file}`);
+            plan = { content: solution.codeBlock || '', changes: [{ line: 1, removed: [], added: splitLines(solution.codeBlock || '').lines }] };
+            break;
+        case 'delete':
+            if (!exists) throw new PatchError(`文件不存在: ${solution.file}`);
+            plan = { content: null, changes: [{ line: 1, removed: splitLines(original).lines, added: [] }] };
+            break;
+        case 'insert':
+            plan = planInsert(exists ? original : '', solution.codeBlock, solution.anchor);
+            break;
+        case 'replace':
+            if (!exists) throw new PatchError(`文件不存在: ${solution.file}`);
+            plan = planReplace(original, solution.edits);
+            break;
+        case 'patch':
+            if (!exists) throw new PatchError(`文件不存在: ${solution.file}`);
+            plan = planUnifiedDiff(original, solution.diff, solution.file);
+            break;
+        default:
+            throw new PatchError(`不支持的操作: ${action}`);
+    }
+
+    return {
+        action,
+        ...plan,
+        linesAdded: plan.changes.reduce((sum, c) => sum + c.added.length, 0),
+        linesRemoved: plan.changes.reduce((sum, c) => sum + c.removed.length, 0)
+    };
+}
+
+/**
+ * 规范化方案为文件操作列表
+ */
+function normalizeSolution(solution) {
+    const changes = Array.isArray(solution?.changes)
+        ? solution.changes
+        : (solution?.file ? [{ file: solution.file, action: solution.action, edits: solution.edits, diff: solution.diff, codeBlock: solution.codeBlock, anchor: solution.anchor }] : []);
+
+    if (changes.length === 0) {
+        throw new PatchError('方案中没有文件操作');
+    }
+
+    return { description: solution.description || '', changes };
+}
+
+/**
+ * 汇总各文件的行数统计
+ */
+function summarizePlans(plans) {
+    const files = plans.map(({ file, plan }) => ({
+        file,
+        action: plan.action,
+        linesAdded: plan.linesAdded,
+        linesRemoved: plan.linesRemoved,
+        lines: plan.changes
+    }));
+    return {
+        files,
+        linesAdded: files.reduce((sum, f) => sum + f.linesAdded, 0),
+        linesRemoved: files.reduce((sum, f) => sum + f.linesRemoved, 0)
+    };
+}
+
+// 超过该规模的变更区域不做 LCS，整体视为删除后新增
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+const DIFF_CONTEXT = 3;
+
+// 行级差异：先去掉公共前后缀，中间部分按最长公共子序列对齐
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const ops = a.slice(0, start).map(line => [' ', line]);
+
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+        ops.push(...midA.map(line => ['-', line]), ...midB.map(line => ['+', line]));
+    } else {
+        const n = midA.length;
+        const m = midB.length;
+        const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                ops.push([' ', midA[i++]]);
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                ops.push(['-', midA[i++]]);
+            } else {
+                ops.push(['+', midB[j++]]);
+            }
+        }
+        while (i < n) ops.push(['-', midA[i++]]);
+        while (j < m) ops.push(['+', midB[j++]]);
+    }
+
+    ops.push(...a.slice(endA).map(line => [' ', line]));
+    return ops;
+}
+
+/**
+ * 渲染单个文件的统一 diff
+ * original / content 为 null 分别表示新建与删除；没有变更时返回空字符串
+ */
+function formatUnifiedDiff(file, original, content, { context = DIFF_CONTEXT } = {}) {
+    const ops = diffLines(
+        original === null || original === undefined ? [] : splitLines(original).lines,
+        content === null || content === undefined ? [] : splitLines(content).lines
+    );
+
+    // 每个操作之前的新旧行数，用于计算 hunk 头
+    const positions = [];
+    let oldLine = 0;
+    let newLine = 0;
+    for (const [marker] of ops) {
+        positions.push({ oldLine, newLine });
+        if (marker !== '+') oldLine++;
+        if (marker !== '-') newLine++;
+    }
+
+    // 相邻变更的上下文重叠时合并为一个 hunk
+    const ranges = [];
+    ops.forEach(([marker], k) => {
+        if (marker === ' ') return;
+        const from = Math.max(0, k - context);
+        const to = Math.min(ops.length, k + context + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to) {
+            last.to = to;
+        } else {
+            ranges.push({ from, to });
+        }
+    });
+    if (ranges.length === 0) return '';
+
+    const lines = [
+        original === null || original === undefined ? '--- /dev/null' : `--- a/${file}`,
+        content === null || content === undefined ? '+++ /dev/null' : `+++ b/${file}`
+    ];
+    for (const { from, to } of ranges) {
+        const slice = ops.slice(from, to);
+        const oldCount = slice.filter(([marker]) => marker !== '+').length;
+        const newCount = slice.filter(([marker]) => marker !== '-').length;
+        // 一侧为空时起始行号指向该位置之前的一行
+        const oldStart = positions[from].oldLine + (oldCount > 0 ? 1 : 0);
+        const newStart = positions[from].newLine + (newCount > 0 ? 1 : 0);
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach(([marker, text]) => lines.push(`${marker}${text}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 把多文件统一 diff 转为方案的 changes
+ * 新建文件（--- /dev/null）转为 create，删除文件（+++ /dev/null）转为 delete，其余为 patch
+ */
+function diffToChanges(diff) {
+    const sections = [];
+    let current = null;
+    // hunk 内剩余的行数，为 0 时 ---/+++ 才视为文件头
+    let remainingOld = 0;
+    let remainingNew = 0;
+
+    const lines = String(diff).replace(/\r\n/g, '\n').split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (remainingOld === 0 && remainingNew === 0 && line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+            current = {
+                from: line.slice(4).trim().replace(/^a\//, ''),
+                to: lines[i + 1].slice(4).trim().replace(/^b\//, ''),
+                lines: [line, lines[i + 1]],
+                added: []
+            };
+            sections.push(current);
+            i++;
+            continue;
+        }
+        if (!current) continue;
+
+        const header = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+        if (header) {
+            remainingOld = header[1] === undefined ? 1 : Number(header[1]);
+            remainingNew = header[2] === undefined ? 1 : Number(header[2]);
+        } else if (line.startsWith('+')) {
+            remainingNew = Math.max(0, remainingNew - 1);
+            current.added.push(line.slice(1));
+        } else if (line.startsWith('-')) {
+            remainingOld = Math.max(0, remainingOld - 1);
+        } else if (line.startsWith(' ') || (line === '' && (remainingOld > 0 || remainingNew > 0))) {
+            remainingOld = Math.max(0, remainingOld - 1);
+            remainingNew = Math.max(0, remainingNew - 1);
+        }
+        current.lines.push(line);
+    }
+
+    if (sections.length === 0) throw new PatchError('diff 中没有文件头（--- / +++）');
+
+    return sections.map(section => {
+        if (section.from === '/dev/null') {
+            return { file: section.to, action: 'create', codeBlock: section.added.length > 0 ? section.added.join('\n') + '\n' : '' };
+        }
+        if (section.to === '/dev/null') {
+            return { file: section.from, action: 'delete' };
+        }
+        return { file: section.to, action: 'patch', diff: section.lines.join('\n').trimEnd() + '\n' };
+    });
+}
+
+module.exports = {
+    PatchError,
+    parseUnifiedDiff,
+    planChange,
+    normalizeSolution,
+    summarizePlans,
+    formatUnifiedDiff,
+    diffToChanges
+};
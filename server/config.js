@@ -0,0 +1,151 @@
+/**
+ * 配置与密钥加载
+ * - 从项目根目录 .env 加载环境变量（格式见 .env.example，不覆盖已存在的变量）
+ * - 启动时校验必需配置：生产环境缺少密钥时拒绝启动，开发环境降级为模拟模式
+ *
+ * 加载本模块即完成 .env 读取，因此需在其他读取环境变量的模块之前引入
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENV_FILE = process.env.ENV_FILE || path.join(__dirname, '..', '.env');
+
+// 各LLM提供方必需的密钥
+const LLM_KEY_NAMES = {
+    deepseek: 'DEEPSEEK_API_KEY',
+    openai: 'OPENAI_API_KEY'
+};
+
+const KNOWN_PROVIDERS = ['deepseek', 'openai', 'mock'];
+
+// .env.example 中的占位值视为未配置
+const PLACEHOLDER_PATTERNS = [/^your_/i, /_here$/i, /x{8,}/i];
+
+class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * 解析 .env 内容
+ * 支持注释、export 前缀、单/双引号包裹的值
+ */
+function parseEnv(content) {
+    const result = {};
+
+    for (const rawLine of String(content).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (!match) continue;
+
+        let value = match[2];
+        const quoted = value.match(/^(['"])([\s\S]*)\1$/);
+        if (quoted) {
+            value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+        } else {
+            // 未加引号时去除行尾注释
+            value = value.replace(/\s+#.*$/, '').trim();
+        }
+
+        result[match[1]] = value;
+    }
+
+    return result;
+}
+
+/**
+ * 加载 .env 文件到环境变量，返回实际写入的键
+ */
+function loadEnvFile(file = ENV_FILE, env = process.env) {
+    if (!fs.existsSync(file)) return [];
+
+    const parsed = parseEnv(fs.readFileSync(file, 'utf8'));
+    const applied = [];
+    for (const [key, value] of Object.entries(parsed)) {
+        if (env[key] === undefined) {
+            env[key] = value;
+            applied.push(key);
+        }
+    }
+    return applied;
+}
+
+/**
+ * 读取密钥，未设置或为占位值时返回空字符串
+ */
+function readSecret(env, key) {
+    const value = (env[key] || '').trim();
+    if (!value || PLACEHOLDER_PATTERNS.some(p => p.test(value))) return '';
+    return value;
+}
+
+/**
+ * 校验配置，返回错误与警告列表
+ */
+function validateConfig(env = process.env) {
+    const isProduction = env.NODE_ENV === 'production';
+    const errors = [];
+    const warnings = [];
+
+    const provider = (env.LLM_PROVIDER || 'deepseek').toLowerCase();
+    if (!KNOWN_PROVIDERS.includes(provider)) {
+        errors.push(`未知的 LLM_PROVIDER: ${provider}（可选: ${KNOWN_PROVIDERS.join(', ')}）`);
+    }
+
+    const keyName = LLM_KEY_NAMES[provider];
+    if (keyName && !readSecret(env, keyName)) {
+        if (isProduction) {
+            errors.push(`缺少 ${keyName}`);
+        } else {
+            warnings.push(`未配置 ${keyName}，LLM调用将使用模拟模式`);
+        }
+    }
+
+    if (provider === 'mock' && isProduction) {
+        warnings.push('生产环境正在使用模拟LLM（LLM_PROVIDER=mock）');
+    }
+
+    if (!readSecret(env, 'GITHUB_TOKEN')) {
+        warnings.push('未配置 GITHUB_TOKEN，智能体无法推送代码');
+    }
+
+    return { isProduction, provider, errors, warnings };
+}
+
+/**
+ * 启动时校验：生产环境存在错误时抛出 ConfigError
+ */
+function assertStartupConfig(env = process.env) {
+    const result = validateConfig(env);
+
+    result.warnings.forEach(w => console.warn(`⚠️  [配置] ${w}`));
+
+    if (result.errors.length > 0) {
+        if (result.isProduction) {
+            throw new ConfigError(`生产环境配置不完整: ${result.errors.join('; ')}`, result.errors);
+        }
+        result.errors.forEach(e => console.warn(`⚠️  [配置] ${e}`));
+    }
+
+    return result;
+}
+
+const loadedKeys = loadEnvFile();
+
+module.exports = {
+    ENV_FILE,
+    LLM_KEY_NAMES,
+    ConfigError,
+    parseEnv,
+    loadEnvFile,
+    readSecret,
+    validateConfig,
+    assertStartupConfig,
+    loadedKeys
+};
@@ -6,17 +6,32 @@
  * 表设计：
  * - feedback：存储原始反馈、状态、处理结果
  * - task_logs：记录每个任务的生命周期、各阶段耗时
- * - token_usage：记录每次LLM调用的token数、模型、时间
+ * - token_usage：记录每次LLM调用的token数、费用（按 pricing.js 价格表计算）、模型、时间
  * - circuit_breaker_events：记录熔断事件（时间、原因、阈值）
+ * - translation_memory：翻译记忆（按原文+语言对+模型缓存译文）
+ * - glossary：术语表（按语言对存储术语及翻译规则）
+ * - jobs：智能体任务队列（状态、优先级、尝试次数，重启后恢复未完成任务）
+ * - approvals：人工审核检查点（暂停时的方案、diff、测试结果与审核决定）
+ * - circuit_breaker_state：熔断器状态快照（用量窗口、熔断状态、重试计数、近期事件），重启后恢复
  */
 
 const fs = require('fs');
 const path = require('path');
+const { pricing } = require('./pricing');
+
+// 高频写入（翻译记忆）合并保存的延迟
+const SAVE_DEBOUNCE_MS = 1000;
+
+function roundCost(amount) {
+    return Number(amount.toFixed(8));
+}
 
 class Database {
     constructor(options = {}) {
         this.mode = options.mode || 'memory'; // memory, file, mongodb
         this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.saveDebounceMs = options.saveDebounceMs ?? SAVE_DEBOUNCE_MS;
+        this.saveTimer = null;
         
         // 内存存储
         this.stores = {
@@ -28,7 +43,17 @@ class Database {
             // 新增：Token使用记录
             tokenUsage: [],
             // 新增：熔断事件记录
-            circuitBreakerEvents: []
+            circuitBreakerEvents: [],
+            // 新增：翻译记忆
+            translationMemory: {},
+            // 新增：术语表
+            glossary: [],
+            // 新增：任务队列
+            jobs: [],
+            // 新增：人工审核
+            approvals: [],
+            // 新增：熔断器状态
+            circuitBreakerState: null
         };
         
         // 初始化
@@ -45,6 +70,10 @@ class Database {
         // 定期保存（文件模式）
         if (this.mode === 'file') {
             setInterval(() => this.saveToFile(), 30000); // 每30秒保存
+            // 退出前写入尚未保存的延迟写入
+            process.on('exit', () => {
+                if (this.saveTimer) this.saveToFile();
+            });
         }
     }
     
@@ -70,6 +99,8 @@ class Database {
     
     // 保存数据
     saveToFile() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
         const file = path.join(this.dataDir, 'database.json');
         try {
             fs.writeFileSync(file, JSON.stringify(this.stores, null, 2));
@@ -78,6 +109,13 @@ class Database {
         }
     }
     
+    // 延迟保存：窗口内的多次写入合并为一次整文件写入（批量翻译每段都会写翻译记忆）
+    scheduleSave() {
+        if (this.mode !== 'file' || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.saveToFile(), this.saveDebounceMs);
+        this.saveTimer.unref();
+    }
+    
     // ==================== Feedback 操作 ====================
     
     async createFeedback(feedback) {
@@ -221,7 +259,12 @@ class Database {
             settings: {},
             taskLogs: [],
             tokenUsage: [],
-            circuitBreakerEvents: []
+            circuitBreakerEvents: [],
+            translationMemory: {},
+            glossary: [],
+            jobs: [],
+            approvals: [],
+            circuitBreakerState: null
         };
         if (this.mode === 'file') this.saveToFile();
     }
@@ -326,12 +369,15 @@ class Database {
             promptTokens: usage.promptTokens || 0,
             completionTokens: usage.completionTokens || 0,
             totalTokens: usage.totalTokens || (usage.promptTokens + usage.completionTokens),
-            cost: usage.cost || null, // 预估成本
+            cachedTokens: usage.cachedTokens || 0,
             apiCallType: usage.apiCallType, // analyze_intent, generate_solution, generate_response, evaluate_test
             timestamp: usage.timestamp || new Date().toISOString(),
             success: usage.success !== false,
             error: usage.error || null,
-            ...usage
+            ...usage,
+            // 未传入时按价格表计算，未收录的模型为 null
+            cost: usage.cost ?? pricing.cost(usage),
+            currency: usage.currency || pricing.currency
         };
         
         this.stores.tokenUsage.unshift(item);
@@ -368,6 +414,8 @@ class Database {
         const stats = {
             totalCalls: list.length,
             totalTokens: list.reduce((sum, t) => sum + t.totalTokens, 0),
+            totalCost: roundCost(list.reduce((sum, t) => sum + (t.cost || 0), 0)),
+            currency: pricing.currency,
             successCalls: list.filter(t => t.success).length,
             failedCalls: list.filter(t => !t.success).length,
             byModel: {},
@@ -376,16 +424,18 @@ class Database {
         
         list.forEach(t => {
             if (!stats.byModel[t.model]) {
-                stats.byModel[t.model] = { calls: 0, tokens: 0 };
+                stats.byModel[t.model] = { calls: 0, tokens: 0, cost: 0 };
             }
             stats.byModel[t.model].calls++;
             stats.byModel[t.model].tokens += t.totalTokens;
+            stats.byModel[t.model].cost = roundCost(stats.byModel[t.model].cost + (t.cost || 0));
             
             if (!stats.byType[t.apiCallType]) {
-                stats.byType[t.apiCallType] = { calls: 0, tokens: 0 };
+                stats.byType[t.apiCallType] = { calls: 0, tokens: 0, cost: 0 };
             }
             stats.byType[t.apiCallType].calls++;
             stats.byType[t.apiCallType].tokens += t.totalTokens;
+            stats.byType[t.apiCallType].cost = roundCost(stats.byType[t.apiCallType].cost + (t.cost || 0));
         });
         
         return {
@@ -459,6 +509,253 @@ class Database {
         }
         return null;
     }
+    
+    // ==================== Circuit Breaker State 操作 ====================
+    // 熔断器状态只保存最新的一份快照
+    
+    async getCircuitBreakerState() {
+        return this.stores.circuitBreakerState || null;
+    }
+    
+    async saveCircuitBreakerState(state) {
+        this.stores.circuitBreakerState = { ...state, savedAt: new Date().toISOString() };
+        if (this.mode === 'file') this.saveToFile();
+        return this.stores.circuitBreakerState;
+    }
+    
+    // ==================== Translation Memory 操作 ====================
+    // 按原文+语言对+模型缓存译文
+    
+    async getTranslationMemory(key) {
+        return this.stores.translationMemory[key] || null;
+    }
+    
+    async saveTranslationMemory(key, entry) {
+        this.stores.translationMemory[key] = {
+            ...entry,
+            createdAt: entry.createdAt || new Date().toISOString()
+        };
+        
+        // 限制存储数量，淘汰最早写入的条目
+        const keys = Object.keys(this.stores.translationMemory);
+        if (keys.length > 10000) {
+            keys
+                .sort((a, b) => new Date(this.stores.translationMemory[a].createdAt) - new Date(this.stores.translationMemory[b].createdAt))
+                .slice(0, keys.length - 10000)
+                .forEach(k => delete this.stores.translationMemory[k]);
+        }
+        
+        this.scheduleSave();
+        return this.stores.translationMemory[key];
+    }
+    
+    async deleteTranslationMemory(filter = () => true) {
+        let removed = 0;
+        for (const [key, entry] of Object.entries(this.stores.translationMemory)) {
+            if (filter(entry, key)) {
+                delete this.stores.translationMemory[key];
+                removed++;
+            }
+        }
+        if (removed > 0) this.scheduleSave();
+        return removed;
+    }
+    
+    async countTranslationMemory() {
+        return Object.keys(this.stores.translationMemory).length;
+    }
+    
+    // ==================== Glossary 操作 ====================
+    // 按语言对存储术语及翻译规则
+    
+    async createGlossaryTerm(term) {
+        const item = {
+            id: term.id || `term_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            source: term.source,
+            target: term.target,
+            term: term.term,
+            translation: term.translation || null,
+            rule: term.rule, // do_not_translate, must_translate
+            caseSensitive: term.caseSensitive === true,
+            note: term.note || '',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.stores.glossary.push(item);
+        if (this.mode === 'file') this.saveToFile();
+        
+        return item;
+    }
+    
+    async getGlossaryTerms(options = {}) {
+        const { source, target } = options;
+        
+        let list = [...this.stores.glossary];
+        
+        if (source) {
+            list = list.filter(t => t.source === source);
+        }
+        if (target) {
+            list = list.filter(t => t.target === target);
+        }
+        
+        return list;
+    }
+    
+    async getGlossaryTermById(id) {
+        return this.stores.glossary.find(t => t.id === id);
+    }
+    
+    async updateGlossaryTerm(id, updates) {
+        const index = this.stores.glossary.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.stores.glossary[index] = {
+                ...this.stores.glossary[index],
+                ...updates,
+                id,
+                updatedAt: new Date().toISOString()
+            };
+            if (this.mode === 'file') this.saveToFile();
+            return this.stores.glossary[index];
+        }
+        return null;
+    }
+    
+    async deleteGlossaryTerm(id) {
+        const index = this.stores.glossary.findIndex(t => t.id === id);
+        if (index !== -1) {
+            const [removed] = this.stores.glossary.splice(index, 1);
+            if (this.mode === 'file') this.saveToFile();
+            return removed;
+        }
+        return null;
+    }
+    
+    // ==================== Job Queue 操作 ====================
+    // 智能体任务队列，文件模式下每次变更立即落盘
+    
+    async createJob(job) {
+        const item = {
+            id: job.id || `job_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'queued', // queued, running, completed, dead, cancelled
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            ...job
+        };
+        this.stores.jobs.push(item);
+        
+        // 限制存储数量，只清理已结束的任务
+        if (this.stores.jobs.length > 1000) {
+            const finished = this.stores.jobs.findIndex(j => ['completed', 'dead', 'cancelled'].includes(j.status));
+            if (finished !== -1) this.stores.jobs.splice(finished, 1);
+        }
+        
+        if (this.mode === 'file') this.saveToFile();
+        return item;
+    }
+    
+    async getJobById(id) {
+        return this.stores.jobs.find(j => j.id === id) || null;
+    }
+    
+    async getJobs(options = {}) {
+        const { limit = 20, offset = 0, status, feedbackId } = options;
+        
+        let list = [...this.stores.jobs];
+        
+        // status 可为数组
+        if (status) {
+            const statuses = [].concat(status);
+            list = list.filter(j => statuses.includes(j.status));
+        }
+        if (feedbackId) {
+            list = list.filter(j => j.feedbackId === feedbackId);
+        }
+        
+        return {
+            list: list.slice(offset, offset + limit),
+            total: list.length
+        };
+    }
+    
+    async updateJob(id, updates) {
+        const index = this.stores.jobs.findIndex(j => j.id === id);
+        if (index !== -1) {
+            this.stores.jobs[index] = {
+                ...this.stores.jobs[index],
+                ...updates,
+                id,
+                updatedAt: new Date().toISOString()
+            };
+            if (this.mode === 'file') this.saveToFile();
+            return this.stores.jobs[index];
+        }
+        return null;
+    }
+    
+    // ==================== Approvals 操作 ====================
+    // 智能体流程在审核检查点暂停时保存的状态，文件模式下每次变更立即落盘
+    
+    async createApproval(approval) {
+        const item = {
+            id: approval.id || `approval_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'pending', // pending, approved, rejected
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            ...approval
+        };
+        this.stores.approvals.push(item);
+        
+        // 限制存储数量，只清理已处理的审核
+        if (this.stores.approvals.length > 1000) {
+            const decided = this.stores.approvals.findIndex(a => a.status !== 'pending');
+            if (decided !== -1) this.stores.approvals.splice(decided, 1);
+        }
+        
+        if (this.mode === 'file') this.saveToFile();
+        return item;
+    }
+    
+    async getApprovalById(id) {
+        return this.stores.approvals.find(a => a.id === id) || null;
+    }
+    
+    async getApprovals(options = {}) {
+        const { limit = 20, offset = 0, status, feedbackId } = options;
+        
+        // 最新的在前
+        let list = [...this.stores.approvals].reverse();
+        
+        if (status) {
+            const statuses = [].concat(status);
+            list = list.filter(a => statuses.includes(a.status));
+        }
+        if (feedbackId) {
+            list = list.filter(a => a.feedbackId === feedbackId);
+        }
+        
+        return {
+            list: list.slice(offset, offset + limit),
+            total: list.length
+        };
+    }
+    
+    async updateApproval(id, updates) {
+        const index = this.stores.approvals.findIndex(a => a.id === id);
+        if (index !== -1) {
+            this.stores.approvals[index] = {
+                ...this.stores.approvals[index],
+                ...updates,
+                id,
+                updatedAt: new Date().toISOString()
+            };
+            if (this.mode === 'file') this.saveToFile();
+            return this.stores.approvals[index];
+        }
+        return null;
+    }
 }
 
 // 导出单例
@@ -0,0 +1,116 @@
+/**
+ * 本地模拟 Git 托管服务
+ * 实现 GitHub REST API 中智能体用到的仓库与 Pull Request 接口，PR 保存在内存中
+ *
+ * 用法：
+ *   node server/fake-git-hosting.js            # 默认端口 4020
+ *   FAKE_GIT_HOSTING_PORT=5000 node server/fake-git-hosting.js
+ *
+ * 配合 GITHUB_API_URL=http://localhost:4020 与任意 GITHUB_TOKEN 使用
+ */
+
+const express = require('express');
+
+function createFakeHostingApp() {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.locals.pulls = [];
+
+    // 所有接口都要求携带令牌
+    app.use((req, res, next) => {
+        if (!/^(Bearer|token) \S+/.test(req.get('authorization') || '')) {
+            return res.status(401).json({ message: 'Bad credentials' });
+        }
+        next();
+    });
+
+    // 令牌对仓库拥有读写权限
+    app.get('/repos/:owner/:repo', (req, res) => {
+        const { owner, repo } = req.params;
+        res.json({
+            full_name: `${owner}/${repo}`,
+            private: false,
+            default_branch: 'main',
+            permissions: { admin: false, push: true, pull: true }
+        });
+    });
+
+    app.post('/repos/:owner/:repo/pulls', (req, res) => {
+        const { owner, repo } = req.params;
+        const { head, base, title, body = '' } = req.body || {};
+        if (!head || !base || !title) {
+            return res.status(422).json({ message: 'Validation Failed', errors: [{ message: 'head, base 和 title 不能为空' }] });
+        }
+
+        const duplicate = app.locals.pulls.find(p => p.owner === owner && p.repo === repo && p.head.ref === head && p.state === 'open');
+        if (duplicate) {
+            return res.status(422).json({ message: 'Validation Failed', errors: [{ message: `A pull request already exists for ${owner}:${head}.` }] });
+        }
+
+        const number = app.locals.pulls.length + 1;
+        const pr = {
+            owner,
+            repo,
+            number,
+            state: 'open',
+            title,
+            body,
+            html_url: `https://github.com/${owner}/${repo}/pull/${number}`,
+            head: { ref: head },
+            base: { ref: base },
+            created_at: new Date().toISOString()
+        };
+        app.locals.pulls.push(pr);
+        res.status(201).json(pr);
+    });
+
+    app.get('/repos/:owner/:repo/pulls', (req, res) => {
+        const { owner, repo } = req.params;
+        const { state = 'open', head } = req.query;
+        const list = app.locals.pulls.filter(p =>
+            p.owner === owner && p.repo === repo &&
+            (state === 'all' || p.state === state) &&
+            (!head || `${owner}:${p.head.ref}` === head)
+        );
+        res.json(list);
+    });
+
+    app.get('/repos/:owner/:repo/pulls/:number', (req, res) => {
+        const pr = app.locals.pulls.find(p => p.owner === req.params.owner && p.repo === req.params.repo && p.number === Number(req.params.number));
+        if (!pr) return res.status(404).json({ message: 'Not Found' });
+        res.json(pr);
+    });
+
+    return app;
+}
+
+/**
+ * 启动模拟服务，port 为 0 时随机分配端口
+ */
+function startFakeHostingServer(port = 0) {
+    const app = createFakeHostingApp();
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+            const address = server.address();
+            resolve({
+                app,
+                server,
+                port: address.port,
+                apiUrl: `http://127.0.0.1:${address.port}`,
+                close: () => new Promise(r => server.close(r))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = { createFakeHostingApp, startFakeHostingServer };
+
+if (require.main === module) {
+    const port = Number(process.env.FAKE_GIT_HOSTING_PORT) || 4020;
+    startFakeHostingServer(port).then(({ apiUrl }) => {
+        console.log(`🧪 模拟Git托管服务已启动: ${apiUrl}`);
+        console.log(`   设置 GITHUB_API_URL=${apiUrl} 即可接入`);
+    });
+}
@@ -0,0 +1,208 @@
+/**
+ * 智能体文件修改策略
+ * CodeModifier 写入文件前的路径与内容检查：
+ * - 路径规范化并限制在工作目录内（拒绝绝对路径、../ 越界与指向目录外的符号链接）
+ * - 允许/禁止 glob 列表，禁止优先
+ * - 单文件大小与单次修改文件数上限
+ *
+ * 配置（环境变量，glob 以逗号分隔）：
+ * - AGENT_ALLOWED_PATHS / AGENT_DENIED_PATHS
+ * - AGENT_MAX_FILE_BYTES：默认 100KB
+ * - AGENT_MAX_FILES_PER_CHANGE：默认 5
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ALLOW = ['**/*.js', '**/*.html', '**/*.css', '**/*.json', '**/*.md'];
+
+// 版本控制、CI、依赖与密钥文件，以及决定扩展权限的 manifest
+const DEFAULT_DENY = [
+    '.git/**',
+    '.github/**',
+    'node_modules/**',
+    '**/.env*',
+    '**/*.pem',
+    '**/*.key',
+    '**/package-lock.json',
+    '**/manifest.json'
+];
+
+const DEFAULT_MAX_FILE_BYTES = 100 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+class PolicyViolationError extends Error {
+    constructor(violations) {
+        super(`文件修改策略拒绝: ${violations.map(v => v.message).join('; ')}`);
+        this.name = 'PolicyViolationError';
+        this.violations = violations;
+    }
+}
+
+/**
+ * glob 转正则：支持 **、*、? 与 {a,b}
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // **/ 可匹配零个或多个目录
+                const slash = glob[i + 2] === '/';
+                pattern += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                pattern += '[^/]*';
+            }
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                pattern += '\\{';
+            } else {
+                const options = glob.slice(i + 1, end).split(',').map(o => o.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+                pattern += `(?:${options.join('|')})`;
+                i = end;
+            }
+        } else {
+            pattern += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function parseList(value, fallback) {
+    if (value === undefined || value === null || String(value).trim() === '') return fallback;
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// 沿路径向上找到已存在的祖先目录并解析符号链接
+function realpathOfExisting(target) {
+    let current = target;
+    const rest = [];
+    while (!fs.existsSync(current)) {
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        rest.unshift(path.basename(current));
+        current = parent;
+    }
+    return path.join(fs.realpathSync(current), ...rest);
+}
+
+class FilePolicy {
+    constructor(options = {}) {
+        this.allow = options.allow || DEFAULT_ALLOW;
+        this.deny = options.deny || DEFAULT_DENY;
+        this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+        this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+        this.allowPatterns = this.allow.map(globToRegExp);
+        this.denyPatterns = this.deny.map(globToRegExp);
+    }
+
+    static fromEnv(env = process.env) {
+        return new FilePolicy({
+            allow: parseList(env.AGENT_ALLOWED_PATHS, DEFAULT_ALLOW),
+            deny: parseList(env.AGENT_DENIED_PATHS, DEFAULT_DENY),
+            maxFileBytes: Number(env.AGENT_MAX_FILE_BYTES) || DEFAULT_MAX_FILE_BYTES,
+            maxFiles: Number(env.AGENT_MAX_FILES_PER_CHANGE) || DEFAULT_MAX_FILES
+        });
+    }
+
+    /**
+     * 规范化路径并限制在工作目录内
+     * 返回 { relativePath, absolutePath } 或 { violation }
+     */
+    resolvePath(rootDir, file) {
+        const violation = (rule, message) => ({ violation: { file, rule, message } });
+
+        if (typeof file !== 'string' || file.trim() === '' || file.includes('\0')) {
+            return violation('invalid_path', `非法路径: ${JSON.stringify(file)}`);
+        }
+
+        const normalized = file.trim().replace(/\\/g, '/');
+        if (path.posix.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized)) {
+            return violation('outside_workdir', `不允许绝对路径: ${file}`);
+        }
+
+        const root = path.resolve(rootDir);
+        const absolutePath = path.resolve(root, normalized);
+        const relativePath = path.relative(root, absolutePath).split(path.sep).join('/');
+        if (!relativePath || relativePath.startsWith('../') || relativePath === '..') {
+            return violation('outside_workdir', `路径超出工作目录: ${file}`);
+        }
+
+        // 符号链接可能把目录内的路径指向目录外
+        const realRoot = fs.existsSync(root) ? fs.realpathSync(root) : root;
+        const realTarget = realpathOfExisting(absolutePath);
+        if (realTarget !== realRoot && !realTarget.startsWith(realRoot + path.sep)) {
+            return violation('outside_workdir', `路径经符号链接指向工作目录外: ${file}`);
+        }
+
+        return { relativePath, absolutePath };
+    }
+
+    /**
+     * 按允许/禁止列表检查相对路径，禁止优先
+     */
+    matchRules(relativePath) {
+        const denied = this.denyPatterns.findIndex(p => p.test(relativePath));
+        if (denied !== -1) {
+            return { file: relativePath, rule: 'denied', message: `${relativePath} 命中禁止规则 ${this.deny[denied]}` };
+        }
+        if (!this.allowPatterns.some(p => p.test(relativePath))) {
+            return { file: relativePath, rule: 'not_allowed', message: `${relativePath} 不在允许列表中` };
+        }
+        return null;
+    }
+
+    /**
+     * 检查一次修改涉及的文件
+     * 返回 { resolved: [{ file, relativePath, absolutePath }], violations }
+     */
+    checkFiles(rootDir, files) {
+        const violations = [];
+        const resolved = [];
+
+        if (files.length > this.maxFiles) {
+            violations.push({ file: null, rule: 'max_files', message: `单次修改 ${files.length} 个文件，超过上限 ${this.maxFiles}` });
+        }
+
+        for (const file of files) {
+            const result = this.resolvePath(rootDir, file);
+            if (result.violation) {
+                violations.push(result.violation);
+                continue;
+            }
+            const ruleViolation = this.matchRules(result.relativePath);
+            if (ruleViolation) {
+                violations.push(ruleViolation);
+                continue;
+            }
+            resolved.push({ file, ...result });
+        }
+
+        return { resolved, violations };
+    }
+
+    /**
+     * 检查写入内容大小，通过时返回 null
+     */
+    checkContent(relativePath, content) {
+        if (content === null || content === undefined) return null;
+        const bytes = Buffer.byteLength(content, 'utf8');
+        if (bytes > this.maxFileBytes) {
+            return { file: relativePath, rule: 'max_file_size', message: `${relativePath} 修改后 ${bytes} 字节，超过上限 ${this.maxFileBytes}` };
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    FilePolicy,
+    PolicyViolationError,
+    globToRegExp,
+    DEFAULT_ALLOW,
+    DEFAULT_DENY
+};
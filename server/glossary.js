@@ -0,0 +1,139 @@
+/**
+ * 术语表
+ * 保证品牌名、领域术语在翻译中保持一致
+ *
+ * 规则类型：
+ * - do_not_translate：原样保留，不翻译
+ * - must_translate：必须译为指定译文
+ *
+ * 流程：查找原文中出现的术语 → 注入翻译提示词 → 译文后置检查（可修复则修复，否则标记）
+ */
+
+const crypto = require('crypto');
+const translator = require('./translator');
+
+const RULES = {
+    DO_NOT_TRANSLATE: 'do_not_translate',
+    MUST_TRANSLATE: 'must_translate'
+};
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 大小写不敏感时按小写比较
+function contains(haystack, needle, caseSensitive) {
+    if (caseSensitive) return haystack.includes(needle);
+    return haystack.toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * 校验术语条目，返回错误信息或规范化后的条目
+ */
+function validateTerm(input, { partial = false } = {}) {
+    const term = {};
+
+    if (!partial || input.source !== undefined) {
+        const source = translator.normalizeLanguage(input.source);
+        if (!source || source === translator.AUTO_DETECT) return { error: `不支持的源语言: ${input.source}` };
+        term.source = source;
+    }
+    if (!partial || input.target !== undefined) {
+        const target = translator.normalizeLanguage(input.target);
+        if (!target || target === translator.AUTO_DETECT) return { error: `不支持的目标语言: ${input.target}` };
+        term.target = target;
+    }
+    if (!partial || input.term !== undefined) {
+        if (typeof input.term !== 'string' || !input.term.trim()) return { error: '术语不能为空' };
+        term.term = input.term.trim();
+    }
+    if (!partial || input.rule !== undefined) {
+        if (!Object.values(RULES).includes(input.rule)) {
+            return { error: `规则必须为: ${Object.values(RULES).join(', ')}` };
+        }
+        term.rule = input.rule;
+    }
+    if (input.translation !== undefined) {
+        term.translation = typeof input.translation === 'string' && input.translation.trim() ? input.translation.trim() : null;
+    }
+    if (input.caseSensitive !== undefined) term.caseSensitive = input.caseSensitive === true;
+    if (input.note !== undefined) term.note = String(input.note);
+
+    if (!partial && term.rule === RULES.MUST_TRANSLATE && !term.translation) {
+        return { error: 'must_translate 规则需要指定译文' };
+    }
+
+    return { term };
+}
+
+/**
+ * 查找原文中出现的术语
+ */
+function findMatchingTerms(text, terms) {
+    return terms.filter(t => contains(text, t.term, t.caseSensitive));
+}
+
+/**
+ * 生成注入翻译提示词的术语说明
+ */
+function buildGlossaryInstructions(matches) {
+    if (matches.length === 0) return '';
+
+    const lines = matches.map(t => t.rule === RULES.DO_NOT_TRANSLATE
+        ? `- "${t.term}"：保持原文，不要翻译`
+        : `- "${t.term}"：必须译为"${t.translation}"`);
+
+    return `\n请严格遵守以下术语表：\n${lines.join('\n')}`;
+}
+
+/**
+ * 术语表指纹，用于区分翻译记忆中不同术语表下的译文
+ */
+function fingerprint(matches) {
+    if (matches.length === 0) return '';
+    const signature = matches
+        .map(t => [t.id, t.rule, t.term, t.translation || '', t.updatedAt || ''].join('|'))
+        .sort()
+        .join('\n');
+    return crypto.createHash('sha1').update(signature).digest('hex').substring(0, 12);
+}
+
+/**
+ * 译文后置检查
+ * must_translate 术语被原样保留时直接替换为指定译文；其余违规只做标记
+ */
+function checkTranslation(translation, matches) {
+    let repaired = translation;
+    const violations = [];
+
+    for (const t of matches) {
+        if (t.rule === RULES.DO_NOT_TRANSLATE) {
+            if (!contains(repaired, t.term, t.caseSensitive)) {
+                violations.push({ termId: t.id, term: t.term, rule: t.rule, repaired: false });
+            }
+            continue;
+        }
+
+        if (contains(repaired, t.translation, t.caseSensitive)) continue;
+
+        if (contains(repaired, t.term, t.caseSensitive)) {
+            const pattern = new RegExp(escapeRegExp(t.term), t.caseSensitive ? 'g' : 'gi');
+            // 函数替换：译文中的 $&、$1 等按字面插入
+            repaired = repaired.replace(pattern, () => t.translation);
+            violations.push({ termId: t.id, term: t.term, rule: t.rule, expected: t.translation, repaired: true });
+        } else {
+            violations.push({ termId: t.id, term: t.term, rule: t.rule, expected: t.translation, repaired: false });
+        }
+    }
+
+    return { translation: repaired, violations };
+}
+
+module.exports = {
+    RULES,
+    validateTerm,
+    findMatchingTerms,
+    buildGlossaryInstructions,
+    fingerprint,
+    checkTranslation
+};
@@ -0,0 +1,287 @@
+/**
+ * 智能体任务队列
+ * 反馈处理任务持久化到数据库（DB_MODE=file 时落盘），服务重启后恢复未完成的任务
+ *
+ * - 优先级：high > medium > low，同优先级先进先出
+ *   反馈任务入队时按 medium 排队，入队后的分诊按 FeedbackAnalyzer 的 priority 调整，在任务被领取前生效
+ * - 并发：同时运行的任务数上限；CodeModifier 共用一个工作目录，默认 1
+ * - 重试：处理函数抛出异常时按指数退避重新排队，超过最大尝试次数进入死信（dead）
+ *   异常带有 retryable === false 时直接进入死信
+ *
+ * 任务状态：queued → running → completed / dead；排队中的任务可取消（cancelled），dead 与 cancelled 可重新排队
+ *
+ * 配置（环境变量）：
+ * - AGENT_QUEUE_CONCURRENCY：默认 1
+ * - AGENT_QUEUE_MAX_ATTEMPTS：默认 3
+ * - AGENT_QUEUE_BACKOFF_MS：首次重试延迟，默认 30 秒，之后每次翻倍，最长 10 分钟
+ */
+
+const EventEmitter = require('events');
+const database = require('./database');
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const DEFAULT_PRIORITY = 'medium';
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+
+class JobQueueError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobQueueError';
+        this.status = status;
+    }
+}
+
+class JobQueue extends EventEmitter {
+    constructor(handler, options = {}) {
+        super();
+        this.handler = handler;
+        this.store = options.store || database;
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+        this.maxBackoffMs = options.maxBackoffMs || MAX_BACKOFF_MS;
+
+        this.started = false;
+        this.active = new Set();
+        this.pumping = false;
+        this.repump = false;
+        this.timer = null;
+    }
+
+    static fromEnv(handler, env = process.env, options = {}) {
+        return new JobQueue(handler, {
+            concurrency: Number(env.AGENT_QUEUE_CONCURRENCY) || DEFAULT_CONCURRENCY,
+            maxAttempts: Number(env.AGENT_QUEUE_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+            backoffMs: env.AGENT_QUEUE_BACKOFF_MS !== undefined && env.AGENT_QUEUE_BACKOFF_MS !== '' ? Number(env.AGENT_QUEUE_BACKOFF_MS) : DEFAULT_BACKOFF_MS,
+            ...options
+        });
+    }
+
+    /**
+     * 第 attempts 次失败后的重试延迟
+     */
+    backoff(attempts) {
+        return Math.min(this.backoffMs * 2 ** (attempts - 1), this.maxBackoffMs);
+    }
+
+    async enqueue(payload, { priority = DEFAULT_PRIORITY, feedbackId = null } = {}) {
+        const job = await this.store.createJob({
+            feedbackId,
+            priority: PRIORITY_RANK[priority] !== undefined ? priority : DEFAULT_PRIORITY,
+            payload,
+            maxAttempts: this.maxAttempts,
+            runAt: new Date().toISOString()
+        });
+        this.emit('job_queued', job);
+        this.pump();
+        return job;
+    }
+
+    /**
+     * 启动队列：上次退出时仍在运行的任务重新排队
+     */
+    async start() {
+        const { list: interrupted } = await this.store.getJobs({ status: 'running', limit: Infinity });
+        for (const job of interrupted) {
+            await this.store.updateJob(job.id, { status: 'queued', runAt: new Date().toISOString(), resumedAt: new Date().toISOString() });
+        }
+        if (interrupted.length > 0) {
+            console.log(`[JobQueue] 恢复 ${interrupted.length} 个未完成的任务`);
+        }
+
+        this.started = true;
+        this.pump();
+        return interrupted.length;
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 取出下一个可运行的任务并标记为 running
+     */
+    async claimNext() {
+        const now = Date.now();
+        const { list } = await this.store.getJobs({ status: 'queued', limit: Infinity });
+        const ready = list
+            .filter(j => Date.parse(j.runAt) <= now)
+            .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        if (ready.length === 0) return null;
+
+        return this.store.updateJob(ready[0].id, {
+            status: 'running',
+            attempts: ready[0].attempts + 1,
+            startedAt: new Date().toISOString()
+        });
+    }
+
+    async pump() {
+        if (!this.started) return;
+        if (this.pumping) {
+            this.repump = true;
+            return;
+        }
+
+        this.pumping = true;
+        try {
+            do {
+                this.repump = false;
+                while (this.started && this.active.size < this.concurrency) {
+                    const job = await this.claimNext();
+                    if (!job) break;
+                    this.active.add(job.id);
+                    this.runJob(job).finally(() => {
+                        this.active.delete(job.id);
+                        this.pump();
+                    });
+                }
+                await this.armTimer();
+            } while (this.repump);
+
+            if (this.active.size === 0) this.emit('idle');
+        } finally {
+            this.pumping = false;
+        }
+    }
+
+    /**
+     * 等待退避中的任务到期
+     */
+    async armTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.started) return;
+
+        const { list } = await this.store.getJobs({ status: 'queued', limit: Infinity });
+        if (list.length === 0) return;
+
+        const next = Math.min(...list.map(j => Date.parse(j.runAt)));
+        this.timer = setTimeout(() => this.pump(), Math.max(0, next - Date.now()));
+        this.timer.unref();
+    }
+
+    async runJob(job) {
+        console.log(`[JobQueue] 开始任务 ${job.id}（第${job.attempts}次，优先级 ${job.priority}）`);
+        this.emit('job_started', job);
+
+        try {
+            const result = await this.handler(job);
+            const done = await this.store.updateJob(job.id, { status: 'completed', result, error: null, finishedAt: new Date().toISOString() });
+            this.emit('job_completed', done);
+        } catch (error) {
+            if (error.retryable === false || job.attempts >= job.maxAttempts) {
+                console.log(`[JobQueue] 任务 ${job.id} 进入死信: ${error.message}`);
+                const dead = await this.store.updateJob(job.id, { status: 'dead', error: error.message, finishedAt: new Date().toISOString() });
+                this.emit('job_dead', dead);
+            } else {
+                const delay = this.backoff(job.attempts);
+                console.log(`[JobQueue] 任务 ${job.id} 失败，${delay}ms 后重试: ${error.message}`);
+                const retry = await this.store.updateJob(job.id, { status: 'queued', error: error.message, runAt: new Date(Date.now() + delay).toISOString() });
+                this.emit('job_retry', retry);
+            }
+        }
+    }
+
+    async getJob(id) {
+        const job = await this.store.getJobById(id);
+        if (!job) throw new JobQueueError(`任务不存在: ${id}`, 404);
+        return job;
+    }
+
+    /**
+     * 任务列表：运行中优先，其次按优先级与入队时间
+     * status 为状态数组，省略时返回全部
+     */
+    async list({ status = null, feedbackId, limit = 50, offset = 0 } = {}) {
+        const invalid = (status || []).filter(s => !JOB_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            throw new JobQueueError(`无效的任务状态: ${invalid.join(', ')}`);
+        }
+
+        const { list } = await this.store.getJobs({ status: status || undefined, feedbackId, limit: Infinity });
+        const order = { running: 0, queued: 1 };
+        list.sort((a, b) =>
+            (order[a.status] ?? 2) - (order[b.status] ?? 2) ||
+            PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+            Date.parse(a.createdAt) - Date.parse(b.createdAt)
+        );
+        return { list: list.slice(offset, offset + limit), total: list.length };
+    }
+
+    /**
+     * 各状态的任务数
+     */
+    async getStats() {
+        const { list } = await this.store.getJobs({ limit: Infinity });
+        const stats = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+        list.forEach(j => { stats[j.status] = (stats[j.status] || 0) + 1; });
+        return { ...stats, total: list.length, concurrency: this.concurrency, active: this.active.size };
+    }
+
+    /**
+     * 取消排队中的任务，运行中的任务无法中断
+     */
+    async cancel(id) {
+        const job = await this.getJob(id);
+        if (job.status !== 'queued') {
+            throw new JobQueueError(`只能取消排队中的任务（当前状态 ${job.status}）`, 409);
+        }
+        const cancelled = await this.store.updateJob(id, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+        this.emit('job_cancelled', cancelled);
+        return cancelled;
+    }
+
+    async setPriority(id, priority) {
+        if (PRIORITY_RANK[priority] === undefined) {
+            throw new JobQueueError(`无效的优先级: ${priority}（可选: ${Object.keys(PRIORITY_RANK).join(', ')}）`);
+        }
+        const job = await this.getJob(id);
+        if (job.status !== 'queued') {
+            throw new JobQueueError(`只能调整排队中任务的优先级（当前状态 ${job.status}）`, 409);
+        }
+        return this.store.updateJob(id, { priority });
+    }
+
+    /**
+     * 死信或已取消的任务重新排队，尝试次数清零
+     */
+    async requeue(id) {
+        const job = await this.getJob(id);
+        if (job.status !== 'dead' && job.status !== 'cancelled') {
+            throw new JobQueueError(`只能重新排队失败或已取消的任务（当前状态 ${job.status}）`, 409);
+        }
+        const queued = await this.store.updateJob(id, {
+            status: 'queued',
+            attempts: 0,
+            runAt: new Date().toISOString(),
+            requeuedAt: new Date().toISOString()
+        });
+        this.emit('job_queued', queued);
+        this.pump();
+        return queued;
+    }
+
+    /**
+     * 所有可运行的任务处理完毕时 resolve（退避中的任务不等待）
+     */
+    onIdle() {
+        if (this.active.size === 0 && !this.pumping) return Promise.resolve();
+        return new Promise(resolve => this.once('idle', resolve));
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JobQueueError,
+    PRIORITY_RANK,
+    JOB_STATUSES
+};
@@ -0,0 +1,266 @@
+/**
+ * LLM 提供方注册表
+ * 所有LLM调用（智能体服务、翻译、反馈回应）统一经由此处发出
+ *
+ * 内置提供方：
+ * - deepseek：DeepSeek 官方接口
+ * - openai：任意 OpenAI 兼容接口（自定义 base URL）
+ * - mock：本地模拟，返回 mock-llm-fixtures.js 中的固定响应，不发起网络请求
+ *
+ * 配置（环境变量）：
+ * - LLM_PROVIDER：deepseek / openai / mock，默认 deepseek
+ * - DEEPSEEK_API_KEY / DEEPSEEK_BASE_URL / DEEPSEEK_MODEL
+ * - OPENAI_API_KEY / OPENAI_BASE_URL / OPENAI_MODEL
+ * - LLM_TIMEOUT_MS：请求超时，默认60秒（单次调用可通过 request.timeout 覆盖）
+ * - LLM_JSON_MODE：设为 false 时不发送 response_format（接口不支持 JSON 模式时使用）
+ *
+ * 未配置对应 API Key 时使用模拟提供方，不会回退到任何共享密钥
+ */
+
+const axios = require('axios');
+const { CALL_TYPE_HEADER, buildMockContent, estimateUsage } = require('./mock-llm-fixtures');
+const { LLM_KEY_NAMES, readSecret } = require('./config');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const PROVIDER_DEFAULTS = {
+    deepseek: { baseUrl: 'https://api.deepseek.com/v1', model: 'deepseek-chat' },
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    mock: { baseUrl: null, model: 'mock-chat' }
+};
+
+function normalizeUsage(usage) {
+    return {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0,
+        // 命中缓存的输入token：OpenAI 为 prompt_tokens_details.cached_tokens，DeepSeek 为 prompt_cache_hit_tokens
+        cachedTokens: usage?.prompt_tokens_details?.cached_tokens || usage?.prompt_cache_hit_tokens || 0
+    };
+}
+
+/**
+ * OpenAI 兼容接口（/chat/completions）
+ */
+class OpenAICompatibleProvider {
+    constructor(config) {
+        this.name = config.name;
+        this.baseUrl = String(config.baseUrl).replace(/\/+$/, '');
+        this.apiKey = config.apiKey;
+        this.model = config.model;
+        this.timeout = config.timeout;
+        this.supportsJsonMode = config.jsonMode !== false;
+        this.isMock = false;
+    }
+
+    ensureApiKey() {
+        if (!this.apiKey) {
+            throw new Error(`未配置 ${this.name} 提供方的 API Key`);
+        }
+    }
+
+    // 附带调用类型，便于网关统计与模拟服务匹配固定响应
+    buildHeaders({ callType }) {
+        return {
+            'Authorization': `Bearer ${this.apiKey}`,
+            ...(callType ? { [CALL_TYPE_HEADER]: callType } : {})
+        };
+    }
+
+    buildBody({ messages, model, temperature, maxTokens, jsonMode }) {
+        return {
+            model: model || this.model,
+            messages,
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(maxTokens ? { max_tokens: maxTokens } : {}),
+            ...(jsonMode && this.supportsJsonMode ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+
+    async chat(request) {
+        this.ensureApiKey();
+        const body = this.buildBody(request);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: this.buildHeaders(request),
+            timeout: request.timeout || this.timeout,
+            signal: request.signal
+        });
+
+        return {
+            content: response.data.choices?.[0]?.message?.content || '',
+            usage: normalizeUsage(response.data.usage),
+            model: response.data.model || body.model
+        };
+    }
+
+    /**
+     * 流式调用，逐个推送增量内容，返回完整文本
+     */
+    async chatStream(request) {
+        this.ensureApiKey();
+        const { signal, onToken } = request;
+        const body = { ...this.buildBody(request), stream: true };
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: this.buildHeaders(request),
+            responseType: 'stream',
+            timeout: request.timeout || this.timeout,
+            signal
+        });
+
+        let buffer = '';
+        let content = '';
+
+        for await (const chunk of response.data) {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') return { content, model: body.model };
+
+                try {
+                    const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+                    if (delta) {
+                        content += delta;
+                        onToken?.(delta);
+                    }
+                } catch (e) {
+                    // 忽略不完整或非JSON的数据行
+                }
+            }
+        }
+
+        return { content, model: body.model };
+    }
+}
+
+/**
+ * 本地模拟提供方：按调用类型返回固定响应，不发起网络请求
+ */
+class MockProvider {
+    constructor(config) {
+        this.name = 'mock';
+        this.model = config.model;
+        this.supportsJsonMode = true;
+        this.isMock = true;
+        // 因缺少密钥而降级时记录原提供方；显式配置 LLM_PROVIDER=mock 时为 null
+        this.fallbackFrom = config.fallbackFrom || null;
+    }
+
+    async chat({ messages, callType }) {
+        const { content } = buildMockContent(messages, callType);
+        return {
+            content,
+            usage: normalizeUsage(estimateUsage(messages, content)),
+            model: this.model
+        };
+    }
+
+    async chatStream(request) {
+        const { content, model } = await this.chat(request);
+        request.onToken?.(content);
+        return { content, model };
+    }
+}
+
+// 提供方注册表：名称 -> 工厂函数
+const registry = new Map([
+    ['deepseek', config => new OpenAICompatibleProvider(config)],
+    ['openai', config => new OpenAICompatibleProvider(config)],
+    ['mock', config => new MockProvider(config)]
+]);
+
+/**
+ * 注册自定义提供方
+ */
+function registerProvider(name, factory) {
+    registry.set(name, factory);
+}
+
+/**
+ * 从环境变量读取提供方配置
+ * 缺少 API Key 时返回模拟提供方配置，并在 fallbackFrom 中记录原提供方
+ */
+function loadProviderConfig(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'deepseek').toLowerCase();
+    const defaults = PROVIDER_DEFAULTS[name] || {};
+    const timeout = Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const jsonMode = String(env.LLM_JSON_MODE || '').toLowerCase() !== 'false';
+
+    const keyName = LLM_KEY_NAMES[name];
+    if (name === 'mock' || (keyName && !readSecret(env, keyName))) {
+        return {
+            name: 'mock',
+            model: PROVIDER_DEFAULTS.mock.model,
+            timeout,
+            ...(name !== 'mock' ? { fallbackFrom: name } : {})
+        };
+    }
+
+    if (name === 'openai') {
+        return {
+            name,
+            apiKey: readSecret(env, keyName),
+            baseUrl: env.OPENAI_BASE_URL || defaults.baseUrl,
+            model: env.OPENAI_MODEL || defaults.model,
+            timeout,
+            jsonMode
+        };
+    }
+
+    return {
+        name,
+        apiKey: readSecret(env, 'DEEPSEEK_API_KEY'),
+        baseUrl: env.DEEPSEEK_BASE_URL || defaults.baseUrl,
+        model: env.DEEPSEEK_MODEL || defaults.model,
+        timeout,
+        jsonMode
+    };
+}
+
+function createProvider(config) {
+    const factory = registry.get(config.name);
+    if (!factory) {
+        throw new Error(`未知的LLM提供方: ${config.name}（可选: ${[...registry.keys()].join(', ')}）`);
+    }
+    return factory(config);
+}
+
+let currentProvider = null;
+
+/**
+ * 获取当前提供方（首次调用时按配置创建）
+ */
+function getProvider() {
+    if (!currentProvider) {
+        const config = loadProviderConfig();
+        if (config.fallbackFrom) {
+            console.warn(`[LLM] 未配置 ${config.fallbackFrom} 的 API Key，已切换到模拟模式`);
+        }
+        currentProvider = createProvider(config);
+    }
+    return currentProvider;
+}
+
+/**
+ * 替换当前提供方（测试或运行时切换）
+ */
+function setProvider(provider) {
+    currentProvider = provider;
+}
+
+module.exports = {
+    OpenAICompatibleProvider,
+    MockProvider,
+    PROVIDER_DEFAULTS,
+    registerProvider,
+    loadProviderConfig,
+    createProvider,
+    getProvider,
+    setProvider
+};
@@ -0,0 +1,104 @@
+/**
+ * 离线模拟LLM服务
+ * 提供 OpenAI 兼容的 /v1/chat/completions 接口，返回 mock-llm-fixtures.js 中的固定响应
+ *
+ * 用法：
+ *   node server/mock-llm-server.js            # 默认端口 4010
+ *   MOCK_LLM_PORT=5000 node server/mock-llm-server.js
+ *
+ * 配合 LLM_PROVIDER=openai、OPENAI_BASE_URL=http://localhost:4010/v1 使用
+ */
+
+const express = require('express');
+const { CALL_TYPE_HEADER, buildMockContent, estimateUsage } = require('./mock-llm-fixtures');
+
+function createMockLLMApp() {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    // 记录收到的请求，便于测试断言
+    app.locals.requests = [];
+    // 流式响应每个分片之间的延迟（毫秒），用于测试中途取消
+    app.locals.streamDelayMs = 0;
+
+    app.get('/v1/models', (req, res) => {
+        res.json({ object: 'list', data: [{ id: 'mock-chat', object: 'model', owned_by: 'mock' }] });
+    });
+
+    app.post('/v1/chat/completions', async (req, res) => {
+        const { messages, model = 'mock-chat', stream = false, response_format: responseFormat } = req.body || {};
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: { message: 'messages 不能为空', type: 'invalid_request_error' } });
+        }
+
+        const { callType, content } = buildMockContent(messages, req.get(CALL_TYPE_HEADER));
+        const record = { callType, model, stream, jsonMode: responseFormat?.type === 'json_object', timestamp: new Date().toISOString() };
+        app.locals.requests.push(record);
+
+        const id = `chatcmpl-mock-${app.locals.requests.length}`;
+        const created = Math.floor(Date.now() / 1000);
+
+        if (stream) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            // 客户端在响应结束前断开时记录为已取消，并停止推送
+            res.on('close', () => {
+                if (!res.writableEnded) record.aborted = true;
+            });
+            // 按字符分片推送，模拟逐token输出
+            for (const char of content) {
+                if (record.aborted) return;
+                res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: char }, finish_reason: null }] })}\n\n`);
+                if (app.locals.streamDelayMs > 0) await new Promise(r => setTimeout(r, app.locals.streamDelayMs));
+            }
+            if (record.aborted) return;
+            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+            res.write('data: [DONE]\n\n');
+            return res.end();
+        }
+
+        res.json({
+            id,
+            object: 'chat.completion',
+            created,
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: estimateUsage(messages, content)
+        });
+    });
+
+    return app;
+}
+
+/**
+ * 启动模拟服务，port 为 0 时随机分配端口
+ */
+function startMockLLMServer(port = 0) {
+    const app = createMockLLMApp();
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+            const address = server.address();
+            resolve({
+                app,
+                server,
+                port: address.port,
+                baseUrl: `http://127.0.0.1:${address.port}/v1`,
+                close: () => new Promise(r => server.close(r))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = { createMockLLMApp, startMockLLMServer };
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_LLM_PORT) || 4010;
+    startMockLLMServer(port).then(({ baseUrl }) => {
+        console.log(`🧪 模拟LLM服务已启动: ${baseUrl}`);
+        console.log(`   设置 LLM_PROVIDER=openai OPENAI_BASE_URL=${baseUrl} 即可接入`);
+    });
+}
@@ -0,0 +1,121 @@
+/**
+ * 模型价格表
+ * 按提供方报告的用量计算每次LLM调用的成本，供熔断器执行金额预算
+ *
+ * 价格单位：每百万token的金额
+ * - input：未命中缓存的输入token
+ * - cached：命中缓存的输入token（提供方未报告时按 input 计价）
+ * - output：输出token
+ *
+ * 模型名先精确匹配，再按最长前缀匹配（如 gpt-4o-mini-2024-07-18 → gpt-4o-mini）
+ * 未收录的模型成本记为 null，不计入预算
+ *
+ * 配置（环境变量）：
+ * - LLM_PRICING：JSON，覆盖或新增模型价格，如 {"deepseek-chat":{"input":0.27,"cached":0.07,"output":1.1}}
+ * - LLM_COST_CURRENCY：币种，默认 USD
+ */
+
+const PRICE_FIELDS = ['input', 'cached', 'output'];
+
+const DEFAULT_CURRENCY = 'USD';
+
+const DEFAULT_PRICING = {
+    'deepseek-chat': { input: 0.27, cached: 0.07, output: 1.10 },
+    'deepseek-reasoner': { input: 0.55, cached: 0.14, output: 2.19 },
+    'gpt-4o-mini': { input: 0.15, cached: 0.075, output: 0.60 },
+    'gpt-4o': { input: 2.50, cached: 1.25, output: 10.00 },
+    'mock-chat': { input: 0, cached: 0, output: 0 }
+};
+
+class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+        this.status = 400;
+    }
+}
+
+/**
+ * 校验单个模型的价格，缺少 cached 时按 input 计价
+ */
+function normalizePrice(model, price) {
+    if (!price || typeof price !== 'object') {
+        throw new PricingError(`模型 ${model} 的价格应为对象`);
+    }
+    const normalized = { ...price, cached: price.cached ?? price.input };
+    for (const field of PRICE_FIELDS) {
+        if (typeof normalized[field] !== 'number' || !Number.isFinite(normalized[field]) || normalized[field] < 0) {
+            throw new PricingError(`模型 ${model} 的 ${field} 价格无效: ${JSON.stringify(price[field])}`);
+        }
+    }
+    return { input: normalized.input, cached: normalized.cached, output: normalized.output };
+}
+
+function round(amount) {
+    return Number(amount.toFixed(8));
+}
+
+class PricingTable {
+    constructor(prices = DEFAULT_PRICING, { currency = DEFAULT_CURRENCY } = {}) {
+        this.currency = currency;
+        this.prices = new Map(Object.entries(prices).map(([model, price]) => [model, normalizePrice(model, price)]));
+    }
+
+    static fromEnv(env = process.env) {
+        let overrides = {};
+        if (env.LLM_PRICING) {
+            try {
+                overrides = JSON.parse(env.LLM_PRICING);
+                Object.entries(overrides).forEach(([model, price]) => normalizePrice(model, price));
+            } catch (error) {
+                console.warn(`[Pricing] 忽略无效的 LLM_PRICING: ${error.message}`);
+                overrides = {};
+            }
+        }
+        return new PricingTable({ ...DEFAULT_PRICING, ...overrides }, { currency: env.LLM_COST_CURRENCY || DEFAULT_CURRENCY });
+    }
+
+    getPrice(model) {
+        if (!model) return null;
+        if (this.prices.has(model)) return this.prices.get(model);
+
+        let match = null;
+        for (const name of this.prices.keys()) {
+            if (model.startsWith(name) && (!match || name.length > match.length)) match = name;
+        }
+        return match ? this.prices.get(match) : null;
+    }
+
+    /**
+     * 按实际用量计算成本，未收录的模型返回 null
+     */
+    cost({ model, promptTokens = 0, completionTokens = 0, cachedTokens = 0 }) {
+        const price = this.getPrice(model);
+        if (!price) return null;
+        const cached = Math.min(cachedTokens || 0, promptTokens || 0);
+        return round((((promptTokens || 0) - cached) * price.input + cached * price.cached + (completionTokens || 0) * price.output) / 1e6);
+    }
+
+    /**
+     * 调用前的成本上限估计：全部按输入与输出中较高的单价计算
+     */
+    estimate(model, tokens) {
+        const price = this.getPrice(model);
+        if (!price || !tokens) return 0;
+        return round(tokens * Math.max(price.input, price.output) / 1e6);
+    }
+
+    toJSON() {
+        return { currency: this.currency, unit: 'per_1m_tokens', models: Object.fromEntries(this.prices) };
+    }
+}
+
+// 导出单例
+const pricing = PricingTable.fromEnv();
+
+module.exports = {
+    pricing,
+    PricingTable,
+    PricingError,
+    DEFAULT_PRICING
+};
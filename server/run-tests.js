@@ -1,27 +1,130 @@
 /**
  * 测试运行脚本
  * 用于本地开发和CI环境运行自动化测试
+ *
+ * 模式：
+ * - 默认：本地浏览器端到端测试
+ * - --ci：CI模式
+ * - --mock-llm（或 MOCK_LLM=1）：启动离线模拟LLM服务与模拟Git托管服务，完整运行 Agent.process 流程
  */
 
-const { E2ETestSuite, CITestRunner } = require('./auto-tester');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { execSync } = require('child_process');
+
+// Agent.process 全流程应依次发起的LLM调用类型
+const EXPECTED_CALL_TYPES = ['analyze_intent', 'generate_solution', 'generate_test_cases', 'evaluate_test', 'generate_changelog'];
+
+/**
+ * 准备临时工作目录：本地git仓库，origin 指向同目录下的裸仓库
+ */
+function createWorkDir() {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-work-'));
+    const remoteDir = path.join(rootDir, 'remote.git');
+    const workDir = path.join(rootDir, 'work');
+    fs.mkdirSync(workDir);
+    fs.writeFileSync(path.join(workDir, 'popup.html'), '<!DOCTYPE html><html><head><title>AI Translator</title></head><body><div id="app">translate</div></body></html>\n');
+    fs.writeFileSync(path.join(workDir, 'popup.js'), '// popup\n');
+    execSync(`git init -q --bare "${remoteDir}"`, { stdio: 'pipe' });
+    execSync(`git init -q -b main && git config user.email agent@localhost && git config user.name agent && git add -A && git commit -qm init && git remote add origin "${remoteDir}" && git push -q origin main`, { cwd: workDir, stdio: 'pipe' });
+    return { rootDir, remoteDir, workDir };
+}
+
+async function runMockAgentFlow() {
+    console.log('🧪 模拟LLM模式：运行 Agent.process 全流程\n');
+
+    const { startMockLLMServer } = require('./mock-llm-server');
+    const { startFakeHostingServer } = require('./fake-git-hosting');
+    const mockServer = await startMockLLMServer();
+    const hostingServer = await startFakeHostingServer();
+    const { rootDir, remoteDir, workDir } = createWorkDir();
+
+    // 必须在加载智能体服务之前设置
+    Object.assign(process.env, {
+        LLM_PROVIDER: 'openai',
+        OPENAI_BASE_URL: mockServer.baseUrl,
+        OPENAI_API_KEY: 'mock-key',
+        AGENT_WORK_DIR: workDir,
+        GITHUB_TOKEN: 'fake-token',
+        GITHUB_API_URL: hostingServer.apiUrl,
+        GIT_REMOTE_URL: remoteDir
+    });
+
+    const database = require('./database');
+    const { Agent } = require('./agent-services');
+
+    try {
+        const feedback = await database.createFeedback({
+            id: `fb_mock_${Date.now()}`,
+            content: '德语翻译不准确',
+            language: 'zh',
+            status: 'analyzing'
+        });
+
+        const result = await new Agent().process(feedback);
+        const callTypes = mockServer.app.locals.requests.map(r => r.callType);
+
+        assert.ok(result.success, `Agent.process 应成功: ${result.error || ''}`);
+        assert.strictEqual(result.stage, 'completed');
+        for (const type of EXPECTED_CALL_TYPES) {
+            assert.ok(callTypes.includes(type), `缺少LLM调用: ${type}`);
+        }
+        assert.ok(mockServer.app.locals.requests.filter(r => r.callType === 'analyze_intent').every(r => r.jsonMode), '对象输出应启用JSON模式');
+
+
+        // 修改应提交到反馈分支并通过托管服务创建PR，不直接修改 main
+        const pulls = hostingServer.app.locals.pulls;
+        assert.strictEqual(pulls.length, 1, '应创建一个PR');
+        assert.ok(pulls[0].head.ref.startsWith(`feedback-${feedback.id}-`), `分支名不符合规范: ${pulls[0].head.ref}`);
+        assert.ok(pulls[0].title.startsWith('[Auto]'));
+        assert.ok(pulls[0].body.includes('`popup.js` insert (+2 -0)'), 'PR正文应包含文件统计');
+        assert.strictEqual(result.result.publish.pr.number, pulls[0].number);
+        const remoteBranches = execSync('git branch --list', { cwd: remoteDir, encoding: 'utf8' });
+        assert.ok(remoteBranches.includes(pulls[0].head.ref), '反馈分支应已推送');
+        assert.strictEqual(execSync('git rev-list --count main', { cwd: remoteDir, encoding: 'utf8' }).trim(), '1', 'main 不应被修改');
+
+        console.log('\n✅ Agent.process 全流程测试通过');
+        console.log(`   LLM调用: ${callTypes.join(' → ')}`);
+        console.log(`   PR: #${pulls[0].number} ${pulls[0].head.ref}`);
+        return true;
+    } catch (error) {
+        console.error('\n❌ Agent.process 全流程测试失败:', error.message);
+        return false;
+    } finally {
+        await mockServer.close();
+        await hostingServer.close();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+}
 
 async function main() {
     const isCI = process.argv.includes('--ci');
-    
+    const useMockLLM = process.argv.includes('--mock-llm') || process.env.MOCK_LLM === '1';
+
+    if (useMockLLM) {
+        const passed = await runMockAgentFlow();
+        // 熔断器与数据库的定时器会阻止进程退出
+        process.exit(passed ? 0 : 1);
+    }
+
     if (isCI) {
         // CI模式
+        const { CITestRunner } = require('./auto-tester');
         const runner = new CITestRunner();
         await runner.run();
     } else {
         // 本地开发模式
         console.log('🧪 本地测试模式\n');
-        
+
+        const { E2ETestSuite } = require('./auto-tester');
         const tester = new E2ETestSuite({
             baseUrl: process.env.TEST_URL || 'http://localhost:3000',
             headless: false,  // 本地模式显示浏览器
             slowMo: 50
         });
-        
+
         await tester.runFullSuite();
     }
 }
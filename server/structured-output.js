@@ -0,0 +1,216 @@
+/**
+ * 结构化输出
+ * 智能体各LLM调用的 JSON Schema、输出解析与校验
+ *
+ * 支持的 Schema 子集：type（object/array/string/number/integer/boolean）、
+ * properties、required、items、enum、minItems、minLength、minimum、maximum
+ */
+
+// 方案中的单个文件操作（参数见 code-patch.js）
+const FILE_CHANGE_SCHEMA = {
+    type: 'object',
+    required: ['file', 'action'],
+    properties: {
+        file: { type: 'string', minLength: 1 },
+        action: { type: 'string', enum: ['replace', 'patch', 'insert', 'create', 'delete'] },
+        edits: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['search', 'replace'],
+                properties: {
+                    search: { type: 'string', minLength: 1 },
+                    replace: { type: 'string' }
+                }
+            }
+        },
+        diff: { type: 'string', minLength: 1 },
+        codeBlock: { type: 'string' },
+        anchor: { type: 'string' }
+    }
+};
+
+const SCHEMAS = {
+    // FeedbackAnalyzer
+    analyze_intent: {
+        type: 'object',
+        required: ['intent', 'feasibility', 'priority', 'impact'],
+        properties: {
+            intent: { type: 'string', enum: ['accuracy', 'speed', 'ui', 'function', 'language', 'other'] },
+            feasibility: { type: 'string', enum: ['high', 'medium', 'low'] },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+            impact: { type: 'string', enum: ['localized', 'global'] },
+            summary: { type: 'string' }
+        }
+    },
+
+    // SolutionGenerator：一个方案包含多个文件操作，整体应用
+    generate_solution: {
+        type: 'object',
+        required: ['description', 'changes'],
+        properties: {
+            description: { type: 'string', minLength: 1 },
+            changes: { type: 'array', minItems: 1, items: FILE_CHANGE_SCHEMA }
+        }
+    },
+
+    // TestService.generateTestCases
+    generate_test_cases: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['name', 'action', 'expected'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                action: { type: 'string' },
+                selector: { type: 'string' },
+                expected: { type: 'string' }
+            }
+        }
+    },
+
+    // TestService.evaluateTestResults
+    evaluate_test: {
+        type: 'object',
+        required: ['score', 'assessment'],
+        properties: {
+            score: { type: 'number', minimum: 0, maximum: 10 },
+            assessment: { type: 'string' },
+            recommendations: { type: 'array', items: { type: 'string' } }
+        }
+    },
+
+    // PublishService
+    generate_changelog: {
+        type: 'object',
+        required: ['title', 'body'],
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            body: { type: 'string' },
+            changes: { type: 'array', items: { type: 'string' } }
+        }
+    }
+};
+
+class StructuredOutputError extends Error {
+    constructor(callType, errors, attempts) {
+        super(`${callType} 输出未通过校验（${attempts}次尝试）: ${errors.join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.callType = callType;
+        this.errors = errors;
+        this.attempts = attempts;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * 按 Schema 校验，返回错误列表（空数组表示通过）
+ */
+function validate(schema, value, path = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+        if (!matches) {
+            errors.push(`${path} 应为 ${schema.type}，实际为 ${actual}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} 应为 ${schema.enum.join('/')} 之一，实际为 ${JSON.stringify(value)}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+        errors.push(`${path} 不能为空`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path} 不能小于 ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+        errors.push(`${path} 不能大于 ${schema.maximum}`);
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key} 缺失`);
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(propSchema, value[key], `${path}.${key}`));
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} 至少需要 ${schema.minItems} 项`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 从模型输出中提取 JSON
+ * 依次尝试：整体解析、去除 ```json 代码块、截取首个对象/数组
+ */
+function extractJson(content, type = 'object') {
+    const text = String(content || '').trim();
+    const candidates = [text];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const bracket = type === 'array' ? /\[[\s\S]*\]/ : /\{[\s\S]*\}/;
+    const match = text.match(bracket);
+    if (match) candidates.push(match[0]);
+
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (e) {
+            // 尝试下一个候选
+        }
+    }
+    return { error: '输出不是合法的JSON' };
+}
+
+/**
+ * 解析并校验模型输出，返回 { value } 或 { errors }
+ */
+function parseStructured(content, schema) {
+    const extracted = extractJson(content, schema.type);
+    if (extracted.error) return { errors: [extracted.error] };
+
+    const errors = validate(schema, extracted.value);
+    return errors.length > 0 ? { errors } : { value: extracted.value };
+}
+
+/**
+ * 生成修复提示：要求模型按错误修正上一次输出
+ */
+function buildRepairMessages(content, errors, schema) {
+    return [
+        { role: 'assistant', content: String(content || '') },
+        { role: 'user', content: `上面的输出未通过校验：\n${errors.map(e => `- ${e}`).join('\n')}\n请只返回修正后的JSON，符合以下Schema：\n${JSON.stringify(schema)}` }
+    ];
+}
+
+module.exports = {
+    SCHEMAS,
+    StructuredOutputError,
+    validate,
+    extractJson,
+    parseStructured,
+    buildRepairMessages
+};
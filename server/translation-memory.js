@@ -0,0 +1,116 @@
+/**
+ * 翻译记忆
+ * 位于LLM调用之前，对重复出现的原文（菜单项、按钮文案等）直接返回缓存译文
+ *
+ * 缓存键：规范化原文 + 源语言 + 目标语言 + 模型（+ 术语表指纹，如有）
+ * 条目存储在 database.js 的 translationMemory 表中（文件模式下持久化，短时间内的多次写入合并保存）
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+
+// 默认条目有效期：7天
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class TranslationMemory {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            expired: 0
+        };
+    }
+
+    /**
+     * 规范化原文：Unicode NFC、去首尾空白、合并连续空白
+     */
+    static normalize(text) {
+        return String(text || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+    }
+
+    buildKey({ text, source, target, model, glossary = '' }) {
+        const normalized = TranslationMemory.normalize(text);
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([normalized, source, target, model, glossary]))
+            .digest('hex');
+    }
+
+    /**
+     * 查询译文，未命中或已过期时返回 null
+     */
+    async lookup(params) {
+        const key = this.buildKey(params);
+        const entry = await this.db.getTranslationMemory(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (Date.now() > entry.expiresAt) {
+            await this.db.deleteTranslationMemory((e, k) => k === key);
+            this.stats.expired++;
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        return entry;
+    }
+
+    async store(params, result) {
+        const key = this.buildKey(params);
+        const now = Date.now();
+        const entry = await this.db.saveTranslationMemory(key, {
+            text: TranslationMemory.normalize(params.text),
+            source: params.source,
+            target: params.target,
+            model: params.model,
+            translation: result.translation,
+            detectedSource: result.detectedSource,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: now + this.ttlMs
+        });
+        this.stats.writes++;
+        return entry;
+    }
+
+    /**
+     * 清除条目
+     * 可按语言对过滤，expiredOnly 为 true 时只清除已过期条目
+     */
+    async purge(filter = {}) {
+        const { source, target, expiredOnly = false } = filter;
+        const now = Date.now();
+        return this.db.deleteTranslationMemory(entry =>
+            (!source || entry.source === source) &&
+            (!target || entry.target === target) &&
+            (!expiredOnly || now > entry.expiresAt)
+        );
+    }
+
+    async getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(4)) : 0,
+            entries: await this.db.countTranslationMemory(),
+            ttlMs: this.ttlMs
+        };
+    }
+}
+
+// 导出单例
+const translationMemory = new TranslationMemory(database, {
+    ttlMs: Number(process.env.TRANSLATION_MEMORY_TTL_MS) || DEFAULT_TTL_MS
+});
+
+module.exports = {
+    translationMemory,
+    TranslationMemory,
+    DEFAULT_TTL_MS
+};
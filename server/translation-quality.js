@@ -0,0 +1,163 @@
+/**
+ * 翻译质量评估
+ * /api/translate 的可选质量模式：
+ * - backtranslate：回译到源语言，按与原文的相似度打分
+ * - judge：由LLM评审打分并标记有问题的译文片段
+ * - full：两者都做，取平均分
+ *
+ * 低于阈值的翻译会记录为合成反馈（意图 accuracy），交由智能体流程处理
+ */
+
+const translator = require('./translator');
+
+const QUALITY_MODES = ['backtranslate', 'judge', 'full'];
+
+// 评分范围 0-10，低于阈值记为合成反馈
+const DEFAULT_THRESHOLD = Number(process.env.TRANSLATION_QUALITY_THRESHOLD) || 6;
+
+/**
+ * 解析请求中的质量模式：true 视为 full；未开启返回 null；非法值返回 undefined
+ */
+function resolveQualityMode(value) {
+    if (value === undefined || value === null || value === false || value === '') return null;
+    if (value === true) return 'full';
+    return QUALITY_MODES.includes(value) ? value : undefined;
+}
+
+// 去除空白与标点后按字符比较
+function normalizeForCompare(text) {
+    return String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * 字符二元组 Dice 系数，返回 0-1
+ */
+function similarity(a, b) {
+    const x = normalizeForCompare(a);
+    const y = normalizeForCompare(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (x.length < 2 || y.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < x.length - 1; i++) {
+        const gram = x.substr(i, 2);
+        bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < y.length - 1; i++) {
+        const gram = y.substr(i, 2);
+        const count = bigrams.get(gram) || 0;
+        if (count > 0) {
+            bigrams.set(gram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (x.length - 1 + y.length - 1);
+}
+
+function buildJudgeMessages(text, translation, { detectedSource, target }) {
+    return [
+        { role: 'system', content: `你是翻译质量评审员。请评估${translator.SUPPORTED_LANGUAGES[detectedSource]}原文到${translator.SUPPORTED_LANGUAGES[target]}译文的准确性与流畅度。
+请以JSON格式返回：{"score":评分(0-10),"issues":[{"span":"译文中有问题的片段（逐字摘录）","reason":"问题说明"}]}
+没有问题时 issues 为空数组。` },
+        { role: 'user', content: `原文：${text}\n译文：${translation}` }
+    ];
+}
+
+function parseJudgeResponse(content) {
+    try {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) return null;
+        const parsed = JSON.parse(jsonMatch[0]);
+        const score = Number(parsed.score);
+        if (!Number.isFinite(score)) return null;
+        return {
+            score: Math.max(0, Math.min(10, score)),
+            issues: Array.isArray(parsed.issues) ? parsed.issues.filter(i => i && typeof i.span === 'string' && i.span) : []
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 在译文中定位评审标记的片段，找不到时 start/end 为 null
+ */
+function locateSpans(translation, issues) {
+    return issues.map(issue => {
+        const start = translation.indexOf(issue.span);
+        return {
+            text: issue.span,
+            start: start === -1 ? null : start,
+            end: start === -1 ? null : start + issue.span.length,
+            reason: issue.reason || ''
+        };
+    });
+}
+
+/**
+ * 评估译文质量
+ * callModel(messages) 返回模型输出文本，由调用方决定使用哪个提供方
+ */
+async function evaluateTranslation({ text, translation, detectedSource, target, mode }, callModel) {
+    const result = { mode, score: null, flaggedSpans: [] };
+    const scores = [];
+
+    if (mode === 'backtranslate' || mode === 'full') {
+        const messages = translator.buildTranslationMessages(translation, { source: target, target: detectedSource });
+        const backTranslation = (await callModel(messages)).trim();
+        const score = similarity(text, backTranslation);
+        result.backTranslation = { text: backTranslation, similarity: Number(score.toFixed(3)) };
+        scores.push(score * 10);
+    }
+
+    if (mode === 'judge' || mode === 'full') {
+        const judged = parseJudgeResponse(await callModel(buildJudgeMessages(text, translation, { detectedSource, target })));
+        if (judged) {
+            result.judge = { score: judged.score, issues: judged.issues.length };
+            result.flaggedSpans = locateSpans(translation, judged.issues);
+            scores.push(judged.score);
+        } else {
+            result.judge = { score: null, error: '评审结果解析失败' };
+        }
+    }
+
+    if (scores.length > 0) {
+        result.score = Number((scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1));
+    }
+
+    return result;
+}
+
+/**
+ * 生成低分翻译的合成反馈
+ */
+function buildQualityFeedback({ id, text, translation, detectedSource, target, quality }) {
+    const excerpt = (str) => (str.length > 60 ? `${str.substring(0, 60)}...` : str);
+    return {
+        id,
+        userId: 'system_quality_check',
+        content: `[翻译质检] ${detectedSource}→${target} 评分${quality.score}/10：「${excerpt(text)}」译为「${excerpt(translation)}」`.substring(0, 280),
+        language: 'zh',
+        status: 'pending',
+        intent: 'accuracy',
+        synthetic: true,
+        origin: 'translation_quality',
+        qualityReport: { text, translation, detectedSource, target, ...quality }
+    };
+}
+
+module.exports = {
+    QUALITY_MODES,
+    DEFAULT_THRESHOLD,
+    resolveQualityMode,
+    similarity,
+    buildJudgeMessages,
+    parseJudgeResponse,
+    locateSpans,
+    evaluateTranslation,
+    buildQualityFeedback
+};
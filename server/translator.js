@@ -0,0 +1,261 @@
+/**
+ * 翻译服务
+ * 负责语言代码校验、源语言检测、翻译提示词构建与结果解析
+ * 以及批量翻译时的分段打包
+ */
+
+// 支持的语言（代码 -> 提示词中使用的语言名称）
+const SUPPORTED_LANGUAGES = {
+    'zh': '简体中文',
+    'zh-TW': '繁体中文',
+    'en': '英语',
+    'ja': '日语',
+    'ko': '韩语',
+    'fr': '法语',
+    'de': '德语',
+    'es': '西班牙语',
+    'ru': '俄语',
+    'pt': '葡萄牙语',
+    'it': '意大利语',
+    'ar': '阿拉伯语'
+};
+
+// 语言代码别名
+const LANGUAGE_ALIASES = {
+    'zh-cn': 'zh',
+    'zh-hans': 'zh',
+    'zh-tw': 'zh-TW',
+    'zh-hk': 'zh-TW',
+    'zh-hant': 'zh-TW'
+};
+
+const AUTO_DETECT = 'auto';
+const DEFAULT_TARGET = 'zh';
+
+// 批量翻译限制
+const BATCH_LIMITS = {
+    MAX_SEGMENTS: 200,              // 单次请求最多200段
+    MAX_SEGMENT_LENGTH: 500,        // 单段最多500字符
+    MAX_TOKENS_PER_CALL: 1500       // 单次LLM调用的原文token预算
+};
+
+// 流式翻译单次最多20000字符
+const STREAM_MAX_LENGTH = 20000;
+
+/**
+ * 规范化语言代码，无法识别时返回 null
+ */
+function normalizeLanguage(code) {
+    if (typeof code !== 'string' || !code.trim()) return null;
+    const lower = code.trim().replace(/_/g, '-').toLowerCase();
+    if (lower === AUTO_DETECT) return AUTO_DETECT;
+    if (LANGUAGE_ALIASES[lower]) return LANGUAGE_ALIASES[lower];
+    const match = Object.keys(SUPPORTED_LANGUAGES).find(l => l.toLowerCase() === lower);
+    return match || null;
+}
+
+/**
+ * 校验源/目标语言
+ * 源语言缺省或为 auto 时自动检测；目标语言缺省为简体中文
+ */
+function resolveLanguagePair(source, target) {
+    const resolvedSource = source === undefined || source === null || source === '' ? AUTO_DETECT : normalizeLanguage(source);
+    const resolvedTarget = target === undefined || target === null || target === '' ? DEFAULT_TARGET : normalizeLanguage(target);
+
+    const invalid = [];
+    if (!resolvedSource) invalid.push(`source=${source}`);
+    if (!resolvedTarget || resolvedTarget === AUTO_DETECT) invalid.push(`target=${target}`);
+
+    if (invalid.length > 0) {
+        return {
+            valid: false,
+            error: `不支持的语言代码: ${invalid.join(', ')}`,
+            supported: Object.keys(SUPPORTED_LANGUAGES)
+        };
+    }
+
+    return { valid: true, source: resolvedSource, target: resolvedTarget };
+}
+
+/**
+ * 基于字符集的源语言检测
+ * 拉丁字母文本无法可靠区分具体语种，默认视为英语
+ */
+function detectLanguage(text) {
+    const sample = String(text || '');
+    if (/[\uAC00-\uD7AF\u1100-\u11FF]/.test(sample)) return 'ko';
+    if (/[\u3040-\u30FF]/.test(sample)) return 'ja';
+    if (/[\u4E00-\u9FFF]/.test(sample)) return 'zh';
+    if (/[\u0400-\u04FF]/.test(sample)) return 'ru';
+    if (/[\u0600-\u06FF]/.test(sample)) return 'ar';
+    return 'en';
+}
+
+/**
+ * 构建翻译提示词
+ * 自动检测源语言时要求模型以JSON返回检测结果
+ * instructions 为附加到系统提示词末尾的额外要求（如术语表）
+ */
+function buildTranslationMessages(text, { source, target }, instructions = '') {
+    const targetName = SUPPORTED_LANGUAGES[target];
+
+    if (source === AUTO_DETECT) {
+        return [
+            { role: 'system', content: `你是一个翻译助手。请识别原文的语言，并将其翻译为${targetName}。
+语言代码只能从以下列表中选择：${Object.keys(SUPPORTED_LANGUAGES).join(', ')}
+请以JSON格式返回：{"sourceLanguage":"语言代码","translation":"译文"}${instructions}` },
+            { role: 'user', content: text }
+        ];
+    }
+
+    return [
+        { role: 'system', content: `你是一个翻译助手。请将${SUPPORTED_LANGUAGES[source]}原文翻译为${targetName}，只返回翻译结果。${instructions}` },
+        { role: 'user', content: text }
+    ];
+}
+
+/**
+ * 构建流式翻译提示词
+ * 流式输出需要逐字推送译文，因此不使用JSON包装，源语言由模型自行识别
+ */
+function buildStreamingMessages(text, { source, target }, instructions = '') {
+    const sourceHint = source === AUTO_DETECT ? '请识别原文的语言，' : `原文语言为${SUPPORTED_LANGUAGES[source]}，`;
+    return [
+        { role: 'system', content: `你是一个翻译助手。${sourceHint}将其翻译为${SUPPORTED_LANGUAGES[target]}。只返回翻译结果，保留原文的段落结构。${instructions}` },
+        { role: 'user', content: text }
+    ];
+}
+
+/**
+ * 解析模型返回的翻译结果
+ */
+function parseTranslationResponse(content, { source, text }) {
+    if (source !== AUTO_DETECT) {
+        return { translation: content.trim(), detectedSource: source };
+    }
+
+    try {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            const parsed = JSON.parse(jsonMatch[0]);
+            const detected = normalizeLanguage(parsed.sourceLanguage);
+            return {
+                translation: String(parsed.translation || '').trim(),
+                detectedSource: detected && detected !== AUTO_DETECT ? detected : detectLanguage(text)
+            };
+        }
+    } catch (e) {
+        // JSON解析失败，按纯文本处理
+    }
+
+    return { translation: content.trim(), detectedSource: detectLanguage(text) };
+}
+
+/**
+ * 粗略估算token数：CJK字符约1 token/字，其余约4字符/token
+ */
+function estimateTokens(text) {
+    const str = String(text || '');
+    const cjk = (str.match(/[\u3040-\u30FF\u4E00-\u9FFF\uAC00-\uD7AF]/g) || []).length;
+    return cjk + Math.ceil((str.length - cjk) / 4);
+}
+
+/**
+ * 将分段按token预算打包，尽量减少LLM调用次数
+ */
+function packSegments(segments, maxTokens = BATCH_LIMITS.MAX_TOKENS_PER_CALL) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const segment of segments) {
+        // 每段额外计入JSON包装的开销
+        const tokens = estimateTokens(segment.text) + 8;
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            batches.push({ segments: current, tokens: currentTokens });
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(segment);
+        currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+        batches.push({ segments: current, tokens: currentTokens });
+    }
+
+    return batches;
+}
+
+/**
+ * 构建批量翻译提示词，原文与译文均以id对应
+ */
+function buildBatchMessages(segments, { source, target }, instructions = '') {
+    const targetName = SUPPORTED_LANGUAGES[target];
+    const sourceHint = source === AUTO_DETECT
+        ? `请识别每段原文的语言（语言代码只能从以下列表中选择：${Object.keys(SUPPORTED_LANGUAGES).join(', ')}），`
+        : `原文语言为${SUPPORTED_LANGUAGES[source]}，`;
+
+    return [
+        { role: 'system', content: `你是一个翻译助手。${sourceHint}将每段原文翻译为${targetName}。
+输入为JSON数组，每项包含id和text。请逐项翻译，不要合并或拆分段落，保持id不变。
+请以JSON格式返回：{"translations":[{"id":"原id","sourceLanguage":"语言代码","translation":"译文"}]}${instructions}` },
+        { role: 'user', content: JSON.stringify(segments.map(s => ({ id: s.id, text: s.text }))) }
+    ];
+}
+
+/**
+ * 解析批量翻译结果，返回 id -> 结果 的映射
+ * 模型遗漏的分段记为错误
+ */
+function parseBatchResponse(content, segments, { source }) {
+    const results = {};
+    const errors = {};
+
+    let items = [];
+    try {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            const parsed = JSON.parse(jsonMatch[0]);
+            items = Array.isArray(parsed.translations) ? parsed.translations : [];
+        }
+    } catch (e) {
+        items = [];
+    }
+
+    const byId = new Map(items.map(item => [String(item.id), item]));
+
+    for (const segment of segments) {
+        const item = byId.get(String(segment.id));
+        if (!item || typeof item.translation !== 'string' || !item.translation.trim()) {
+            errors[segment.id] = '模型未返回该段译文';
+            continue;
+        }
+        let detectedSource = source;
+        if (source === AUTO_DETECT) {
+            const detected = normalizeLanguage(item.sourceLanguage);
+            detectedSource = detected && detected !== AUTO_DETECT ? detected : detectLanguage(segment.text);
+        }
+        results[segment.id] = { translation: item.translation.trim(), detectedSource };
+    }
+
+    return { results, errors };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    AUTO_DETECT,
+    DEFAULT_TARGET,
+    BATCH_LIMITS,
+    STREAM_MAX_LENGTH,
+    normalizeLanguage,
+    resolveLanguagePair,
+    detectLanguage,
+    buildTranslationMessages,
+    buildStreamingMessages,
+    parseTranslationResponse,
+    estimateTokens,
+    packSegments,
+    buildBatchMessages,
+    parseBatchResponse
+};